@@ -3,15 +3,30 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import certificatesRoutes from './routes/certificates.js';
+import certificateRequestsRoutes from './routes/certificateRequests.js';
+import verifyRoutes from './routes/verify.js';
+import studentsRoutes from './routes/students.js';
+import templatesRoutes from './routes/templates.js';
+import devRoutes from './routes/dev.js';
 import supabase from './supabaseClient.js';
 import { WorkingOtpService } from './test-otp.js';
 import CertificateGenerator from './services/certificateGenerator.js';
+import SmsDeliveryService from './services/sms/SmsDeliveryService.js';
+import { authenticate, requireAdmin, requireSelfOrAdmin } from './middleware/auth.js';
+import { validate, validationError, positiveInt, phoneNumber, text, integer, oneOf } from './middleware/validate.js';
+import { isDevMode } from './services/devMode.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the real client address (used for OTP rate limits)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -19,6 +34,15 @@ app.use(express.json());
 // Routes
 app.use('/v1/auth', authRoutes);
 app.use('/v1/certificates', certificatesRoutes);
+app.use('/v1/certificate-requests', certificateRequestsRoutes);
+app.use('/v1/verify', verifyRoutes);
+app.use('/v1/students', studentsRoutes);
+app.use('/v1/templates', templatesRoutes);
+
+// Development-only routes (fake SMS inbox)
+if (isDevMode()) {
+  app.use('/v1/dev', devRoutes);
+}
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -50,34 +74,26 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// SMS API endpoint - using WorkingOtpService
-app.post('/v1/sms/send', async (req, res) => {
-  console.log('📱 SMS endpoint called!');
-  console.log('📱 Request body:', req.body);
-  console.log('📱 Request headers:', req.headers);
-  
+// SMS API endpoint (admin only) - using WorkingOtpService
+app.post('/v1/sms/send', authenticate, requireAdmin, validate({
+  body: {
+    phoneNumber: phoneNumber(),
+    message: text('Message', { max: 1000 })
+  }
+}), async (req, res) => {
   try {
-    const { phoneNumber, message } = req.body;
+    const { phoneNumber: formattedPhone, message } = req.body;
     
-    console.log(`📱 Received SMS request for ${phoneNumber}`);
-    console.log(`📱 Message: ${message}`);
-    
-    if (!phoneNumber) {
-      console.log('❌ Missing phoneNumber');
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number is required'
-      });
-    }
+    // Headers carry the admin's access token and the message may carry an OTP, so only the recipient is logged
+    console.log(`📱 POST /v1/sms/send for ${formattedPhone}`);
     
     // Extract OTP from message if it contains one
     const otpMatch = message.match(/\b\d{6}\b/);
     if (otpMatch) {
       const otp = otpMatch[0];
-      console.log(`📱 Detected OTP in message: ${otp}`);
       
       // Use WorkingOtpService to send OTP SMS
-      const result = await WorkingOtpService.sendOtpSms(phoneNumber, otp);
+      const result = await WorkingOtpService.sendOtpSms(formattedPhone, otp);
       
       if (result.success) {
         res.status(200).json(result);
@@ -86,10 +102,9 @@ app.post('/v1/sms/send', async (req, res) => {
       }
     } else {
       console.log('❌ No OTP found in message');
-      res.status(400).json({
-        success: false,
-        error: 'Message must contain a 6-digit OTP'
-      });
+      res.status(400).json(validationError([
+        { location: 'body', field: 'message', message: 'Message must contain a 6-digit OTP' }
+      ]));
     }
     
   } catch (error) {
@@ -101,34 +116,36 @@ app.post('/v1/sms/send', async (req, res) => {
   }
 });
 
+// SMS delivery log endpoint (admin only) - recent deliveries, optionally only failures
+app.get('/v1/sms/deliveries', authenticate, requireAdmin, validate({
+  query: {
+    status: oneOf('Status', ['pending', 'sent', 'failed']).optional(),
+    phoneNumber: phoneNumber().optional(),
+    limit: integer('Limit', { min: 1, max: 200 }).default(50)
+  }
+}), async (req, res) => {
+  try {
+    const { status, phoneNumber, limit } = req.query;
 
+    const deliveries = await SmsDeliveryService.listDeliveries({
+      status,
+      phoneNumber: phoneNumber || null,
+      limit
+    });
 
-// Certificate management endpoints
-app.get('/v1/students', async (req, res) => {
-  try {
-    const { data: students, error } = await supabase
-      .from('students')
-      .select('*')
-      .eq('deleted', false);
-    
-    if (error) {
-      return res.status(500).json({ 
-        error: 'Failed to fetch students',
-        details: error.message 
-      });
-    }
-    
     res.status(200).json({
-      status: 'success',
-      count: students.length,
-      students
+      success: true,
+      count: deliveries.length,
+      failedCount: deliveries.filter(delivery => delivery.status === 'failed').length,
+      deliveries
     });
-    
+
   } catch (error) {
-    console.error('Students fetch error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message 
+    console.error('📱 SMS deliveries fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SMS deliveries',
+      details: error.message
     });
   }
 });
@@ -137,20 +154,18 @@ app.get('/v1/students', async (req, res) => {
 const certificateGenerator = new CertificateGenerator();
 
 // Generate certificate for a student
-app.post('/v1/certificates/generate/:studentId', async (req, res) => {
+app.post('/v1/certificates/generate/:studentId', authenticate, requireAdmin, validate({
+  params: { studentId: positiveInt('Student ID') },
+  body: {}
+}), async (req, res) => {
   try {
     const { studentId } = req.params;
     
     console.log(`🎓 Certificate generation request for student ID: ${studentId}`);
     
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student ID is required'
-      });
-    }
-    
-    const result = await certificateGenerator.generateAndSaveCertificate(parseInt(studentId));
+    const result = await certificateGenerator.generateAndSaveCertificate(studentId, {
+      actor: { role: req.auth.role, id: req.auth.userId }
+    });
     
     // Certificate generated successfully - stored in database only
     
@@ -162,6 +177,40 @@ app.post('/v1/certificates/generate/:studentId', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Certificate generation error:', error);
+    
+    if (error.code === 'CERTIFICATE_EXISTS') {
+      return res.status(409).json({
+        success: false,
+        error: 'Certificate already generated',
+        message: error.message
+      });
+    }
+    
+    if (error.code === 'CERTIFICATE_CHANGED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Certificate changed',
+        message: error.message
+      });
+    }
+    
+    if (error.code === 'INVALID_INTERNSHIP') {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid internship details',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
+    if (error.code === 'REQUEST_NOT_APPROVED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Certificate request not approved',
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to generate certificate',
@@ -170,28 +219,32 @@ app.post('/v1/certificates/generate/:studentId', async (req, res) => {
   }
 });
 
-// Download certificate for a student
-app.get('/v1/certificates/download/:studentId', async (req, res) => {
+// Download certificate for a student (admin or the student themselves)
+app.get('/v1/certificates/download/:studentId', authenticate, requireSelfOrAdmin('studentId'), validate({
+  params: { studentId: positiveInt('Student ID') }
+}), async (req, res) => {
   try {
     const { studentId } = req.params;
     
     console.log(`📥 Certificate download request for student ID: ${studentId}`);
     
-    if (!studentId) {
-      return res.status(400).json({
+    const certificateData = await certificateGenerator.getCertificate(studentId);
+    
+    // Admins can still fetch a revoked certificate for their records
+    if (certificateData.revokedAt && req.auth.role !== 'admin') {
+      return res.status(410).json({
         success: false,
-        error: 'Student ID is required'
+        error: 'Certificate revoked',
+        message: 'This certificate has been revoked and can no longer be downloaded'
       });
     }
     
-    const certificateData = await certificateGenerator.getCertificate(parseInt(studentId));
-    
     // Set headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${certificateData.studentName}_Certificate_${certificateData.certificateId}.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${certificateGenerator.getFileName(certificateData.studentName, certificateData.certificateId)}"`);
     
     // Send the certificate bytes
-    res.send(Buffer.from(certificateData.certificate));
+    res.send(certificateData.certificate);
     
   } catch (error) {
     console.error('❌ Certificate download error:', error);
@@ -203,22 +256,17 @@ app.get('/v1/certificates/download/:studentId', async (req, res) => {
   }
 });
 
-// Get certificate status for a student
-app.get('/v1/certificates/status/:studentId', async (req, res) => {
+// Get certificate status for a student (admin or the student themselves)
+app.get('/v1/certificates/status/:studentId', authenticate, requireSelfOrAdmin('studentId'), validate({
+  params: { studentId: positiveInt('Student ID') }
+}), async (req, res) => {
   try {
     const { studentId } = req.params;
     
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student ID is required'
-      });
-    }
-    
     const { data: student, error } = await supabase
       .from('students')
-      .select('preferred_name, certificate_id, certificate')
-      .eq('student_id', parseInt(studentId))
+      .select('preferred_name, certificate_id, certificate_generated_at, certificate_revoked_at, certificate_revocation_reason')
+      .eq('student_id', studentId)
       .single();
     
     if (error) {
@@ -236,7 +284,7 @@ app.get('/v1/certificates/status/:studentId', async (req, res) => {
       });
     }
     
-    const hasCertificate = !!student.certificate;
+    const hasCertificate = !!student.certificate_generated_at;
     
     res.status(200).json({
       success: true,
@@ -244,8 +292,10 @@ app.get('/v1/certificates/status/:studentId', async (req, res) => {
         studentName: student.preferred_name,
         certificateId: student.certificate_id,
         hasCertificate,
-        generatedAt: null,
-        status: hasCertificate ? 'generated' : 'not_generated'
+        generatedAt: student.certificate_generated_at,
+        revokedAt: student.certificate_revoked_at,
+        revocationReason: student.certificate_revocation_reason,
+        status: student.certificate_revoked_at ? 'revoked' : hasCertificate ? 'generated' : 'not_generated'
       }
     });
     
@@ -263,70 +313,6 @@ app.get('/v1/certificates/status/:studentId', async (req, res) => {
 
 
 
-// Update student eligibility status
-app.put('/v1/students/:studentId/eligibility', async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    const { eligible } = req.body;
-    
-    console.log(`🎯 Eligibility update request for student ID: ${studentId}, eligible: ${eligible}`);
-    
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student ID is required'
-      });
-    }
-    
-    if (typeof eligible !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'Eligible status must be a boolean value'
-      });
-    }
-    
-    // Update Supabase
-    const { data: updatedStudent, error: updateError } = await supabase
-      .from('students')
-      .update({ eligible })
-      .eq('student_id', parseInt(studentId))
-      .select()
-      .single();
-    
-    if (updateError) {
-      console.error('❌ Error updating student eligibility:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to update student eligibility',
-        details: updateError.message
-      });
-    }
-    
-    // Eligibility status updated in database only
-    
-    res.status(200).json({
-      success: true,
-      message: 'Student eligibility updated successfully',
-      data: {
-        studentId: updatedStudent.student_id,
-        eligible: updatedStudent.eligible
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Eligibility update error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update student eligibility',
-      details: error.message
-    });
-  }
-});
-
-
-
-
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -349,12 +335,30 @@ app.listen(PORT, () => {
   console.log(`🚀 Certificate Hub Backend Server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 Auth API: http://localhost:${PORT}/v1/auth`);
-  console.log(`📜 Students API: http://localhost:${PORT}/v1/students`);
+  console.log(`📜 Students API (admin): http://localhost:${PORT}/v1/students`);
+  console.log(`   List: GET /v1/students?search=&course=&company=&eligible=&requestStatus=&certificate=&sort=&limit=&offset=|cursor=`);
+  console.log(`   CRUD: POST/GET/PATCH/DELETE /v1/students/:studentId, restore: POST /v1/students/:studentId/restore`);
+  console.log(`   Import CSV: POST http://localhost:${PORT}/v1/students/import?mode=dry-run|commit`);
+  console.log(`🖼️ Templates API (admin): http://localhost:${PORT}/v1/templates`);
+  console.log(`   Upload: POST /v1/templates?name= (PDF body), layout: PUT /v1/templates/:templateId/layout, preview: POST /v1/templates/:templateId/preview`);
+  console.log(`   Fonts: POST /v1/templates/:templateId/fonts?name= (TTF/OTF body)`);
+  console.log(`   Assign: PUT /v1/templates/courses/:courseId or /v1/templates/companies/:companyId`);
   console.log(`📱 SMS API: http://localhost:${PORT}/v1/sms/send`);
+  console.log(`📱 SMS Deliveries: GET http://localhost:${PORT}/v1/sms/deliveries`);
   console.log(`🎓 Certificate APIs:`);
   console.log(`   Generate: POST http://localhost:${PORT}/v1/certificates/generate/:studentId`);
+  console.log(`   Batch: POST http://localhost:${PORT}/v1/certificates/generate-batch, progress: GET /v1/certificates/jobs/:jobId`);
+  console.log(`   Export ZIP: GET http://localhost:${PORT}/v1/certificates/export?course=&company=&generatedFrom=&generatedTo=&studentIds=`);
   console.log(`   Download: GET http://localhost:${PORT}/v1/certificates/download/:studentId`);
   console.log(`   Status: GET http://localhost:${PORT}/v1/certificates/status/:studentId`);
+  console.log(`   Amend/withdraw request: PATCH/DELETE http://localhost:${PORT}/v1/certificates/request/:phoneNumber`);
+  console.log(`   Request queue: GET http://localhost:${PORT}/v1/certificate-requests?status=, act: POST /v1/certificate-requests/:requestId/review|approve|reject`);
+  console.log(`   Revoke/reissue: POST http://localhost:${PORT}/v1/certificates/revoke/:studentId, /reissue/:studentId, history: GET /v1/certificates/versions/:studentId`);
+  console.log(`   Verify: GET http://localhost:${PORT}/v1/verify/:certificateId`);
+  console.log(`   Verify file: POST http://localhost:${PORT}/v1/verify/file (PDF body)`);
+  if (isDevMode()) {
+    console.log(`🧪 Dev SMS inbox: GET http://localhost:${PORT}/v1/dev/sms-inbox`);
+  }
   console.log(`📊 Database-only operations - Excel functionality removed`);
   console.log(`✅ Certificate Hub Backend ready!`);
 });
@@ -0,0 +1,109 @@
+import TokenService from '../services/tokenService.js';
+import UserService from '../services/userService.js';
+import { WorkingOtpService } from '../test-otp.js';
+
+// Authenticate the Bearer access token and attach { userId, role, user } as req.auth
+export async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'A Bearer access token must be provided in the Authorization header'
+    });
+  }
+
+  let session;
+  try {
+    session = TokenService.verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token',
+      message: error.message
+    });
+  }
+
+  try {
+    const user = await UserService.findById(session.role, session.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found',
+        message: 'The account for this access token no longer exists'
+      });
+    }
+
+    req.auth = { ...session, user };
+    next();
+  } catch (error) {
+    console.error('🔒 Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      message: error.message
+    });
+  }
+}
+
+// Only allow the given roles through (use after authenticate)
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This endpoint is restricted to: ${roles.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+export const requireAdmin = requireRole('admin');
+
+function forbidOtherStudent(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'Students can only access their own records'
+  });
+}
+
+// Admins pass; students only when the student ID route param is their own
+export function requireSelfOrAdmin(param = 'studentId') {
+  return (req, res, next) => {
+    if (req.auth?.role === 'admin') {
+      return next();
+    }
+
+    if (req.auth?.role === 'student' && parseInt(req.params[param], 10) === req.auth.userId) {
+      return next();
+    }
+
+    forbidOtherStudent(res);
+  };
+}
+
+// Admins pass; students only when the phone number picked from the request is their own
+export function requireOwnPhoneOrAdmin(getPhoneNumber) {
+  return (req, res, next) => {
+    if (req.auth?.role === 'admin') {
+      return next();
+    }
+
+    const phoneNumber = getPhoneNumber(req);
+    if (
+      req.auth?.role === 'student' &&
+      phoneNumber &&
+      WorkingOtpService.formatPhoneNumber(String(phoneNumber)) === req.auth.user.phone_number
+    ) {
+      return next();
+    }
+
+    forbidOtherStudent(res);
+  };
+}
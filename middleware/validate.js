@@ -0,0 +1,258 @@
+import { z } from 'zod';
+import { normalizePhoneNumber, INVALID_PHONE_MESSAGE } from '../services/phoneNumbers.js';
+import { parseIsoDate } from '../services/internshipDates.js';
+
+// Declarative request validation. Each route declares the params, query and body it accepts:
+//
+//   router.post('/revoke/:studentId', authenticate, requireAdmin, validate({
+//     params: { studentId: positiveInt('Student ID') },
+//     body: { reason: text('Reason', { max: 500 }) }
+//   }), handler);
+//
+// A part given as a plain object is a strict zod object (unknown fields are rejected); a zod schema
+// can be given instead for cross-field rules. Parsed values - coerced, trimmed, with defaults - replace
+// req.params / req.query / req.body, so handlers never re-check them. Every problem is reported in one
+// 400 format:
+//
+//   { success: false, error: 'Validation failed', message, errors: [{ location, field, message }] }
+//
+// The field builders below give each field a readable message; handlers that find a problem only the
+// database can spot (e.g. an unknown course name) answer with validationError() in the same format.
+
+export { z };
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const LOCATION_NAMES = {
+  params: 'URL parameters',
+  query: 'Query string',
+  body: 'Request body'
+};
+
+/**
+ * The 400 response body for a list of { location, field, message } errors
+ */
+export function validationError(errors) {
+  return {
+    success: false,
+    error: 'Validation failed',
+    message: errors.map(({ field, message }) => (field ? `${field}: ${message}` : message)).join('; '),
+    errors
+  };
+}
+
+// Messages for problems zod finds itself, before a field builder runs
+function issueMessage(issue) {
+  if (issue.code === 'invalid_type' && issue.input === undefined) {
+    return 'This field is required';
+  }
+  if (issue.code === 'invalid_type' && issue.expected === 'object') {
+    return 'Must be an object';
+  }
+  return undefined;
+}
+
+// Turn zod issues into { location, field, message } errors, one per unknown key
+function toErrors(location, issues) {
+  return issues.flatMap((issue) => {
+    const path = issue.path.join('.');
+
+    if (issue.code === 'unrecognized_keys') {
+      return issue.keys.map(key => ({
+        location,
+        field: path ? `${path}.${key}` : key,
+        message: 'Unknown field'
+      }));
+    }
+
+    if (!path && issue.code === 'invalid_type') {
+      return [{ location, field: null, message: `${LOCATION_NAMES[location]} must be a JSON object` }];
+    }
+
+    return [{ location, field: path || null, message: issue.message }];
+  });
+}
+
+/**
+ * Middleware validating req.params / req.query / req.body against the given schemas
+ */
+export function validate(schemas) {
+  const compiled = Object.fromEntries(
+    Object.entries(schemas).map(([location, schema]) => {
+      if (!LOCATIONS.includes(location)) {
+        throw new Error(`validate(): unknown request part "${location}"`);
+      }
+      return [location, schema instanceof z.ZodType ? schema : z.object(schema).strict()];
+    })
+  );
+
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const [location, schema] of Object.entries(compiled)) {
+      const result = schema.safeParse(req[location] ?? {}, { error: issueMessage });
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        errors.push(...toErrors(location, result.error.issues));
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json(validationError(errors));
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+/**
+ * The error message a field gives for a value, or null if it is valid - for input that does not
+ * arrive through validate(), such as CSV rows
+ */
+export function checkField(schema, value) {
+  const result = schema.safeParse(value, { error: issueMessage });
+  return result.success ? null : result.error.issues[0].message;
+}
+
+/**
+ * A field parsed by a function returning { value } or { error } (a message). Missing values are
+ * reported as required; chain .optional(), .nullable() or .default() to allow them.
+ */
+export function field(label, parse) {
+  return z.unknown().transform((value, ctx) => {
+    if (value === undefined) {
+      ctx.addIssue({ code: 'custom', message: `${label} is required` });
+      return z.NEVER;
+    }
+
+    const result = parse(value);
+    if (result.error) {
+      ctx.addIssue({ code: 'custom', message: result.error });
+      return z.NEVER;
+    }
+    return result.value;
+  });
+}
+
+/**
+ * An integer given as a number or a string of digits (route params and query values are strings)
+ */
+export function integer(label, { min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return field(label, (value) => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value.trim()) : value;
+    if (!Number.isSafeInteger(number) || number < min || number > max) {
+      const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `between ${min} and ${max}`;
+      return { error: `${label} must be an integer ${range}` };
+    }
+    return { value: number };
+  });
+}
+
+/**
+ * A positive integer ID
+ */
+export function positiveInt(label) {
+  return field(label, (value) => {
+    const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value.trim()) : value;
+    if (!Number.isSafeInteger(number) || number < 1) {
+      return { error: `${label} must be a positive integer` };
+    }
+    return { value: number };
+  });
+}
+
+/**
+ * A string, trimmed, of min to max characters
+ */
+export function text(label, { min = 1, max = 1000 } = {}) {
+  return field(label, (value) => {
+    if (typeof value !== 'string') {
+      return { error: `${label} must be a string` };
+    }
+    const trimmed = value.trim();
+    if (trimmed.length < min || trimmed.length > max) {
+      return {
+        error: min <= 1
+          ? `${label} must not be empty or longer than ${max} characters`
+          : `${label} must be between ${min} and ${max} characters long`
+      };
+    }
+    return { value: trimmed };
+  });
+}
+
+/**
+ * A boolean, also accepting "true" / "false" (for query strings)
+ */
+export function boolean(label) {
+  return field(label, (value) => {
+    if (![true, false, 'true', 'false'].includes(value)) {
+      return { error: `${label} must be true or false` };
+    }
+    return { value: value === true || value === 'true' };
+  });
+}
+
+/**
+ * One of a fixed list of strings
+ */
+export function oneOf(label, values) {
+  return field(label, (value) => {
+    if (!values.includes(value)) {
+      return { error: `${label} must be one of: ${values.join(', ')}` };
+    }
+    return { value };
+  });
+}
+
+/**
+ * A mobile phone number, normalized to E.164
+ */
+export function phoneNumber(label = 'Phone number') {
+  return field(label, (value) => {
+    const normalized = normalizePhoneNumber(value);
+    return normalized ? { value: normalized } : { error: INVALID_PHONE_MESSAGE };
+  });
+}
+
+/**
+ * An email address, trimmed and lower-cased (emails are matched case-insensitively)
+ */
+export function email(label = 'Email') {
+  return field(label, (value) => {
+    const trimmed = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed) || trimmed.length > 254) {
+      return { error: `${label} must be a valid email address` };
+    }
+    return { value: trimmed };
+  });
+}
+
+/**
+ * A calendar date in YYYY-MM-DD format (kept as the string)
+ */
+export function isoDate(label) {
+  return field(label, (value) => {
+    if (!parseIsoDate(value)) {
+      return { error: `${label} must be a valid date in YYYY-MM-DD format` };
+    }
+    return { value };
+  });
+}
+
+/**
+ * A list of positive integer IDs, given as an array or a comma separated string; duplicates removed
+ */
+export function idList(label, { max }) {
+  return field(label, (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const ids = items.map(item => String(item).trim());
+    if (ids.length === 0 || ids.length > max || !ids.every(id => /^\d+$/.test(id) && Number(id) > 0)) {
+      return { error: `${label} must be a list of 1 to ${max} positive integer IDs` };
+    }
+    return { value: [...new Set(ids.map(Number))] };
+  });
+}
@@ -0,0 +1,9 @@
+-- Public certificate verification (GET /v1/verify/:certificateId)
+-- Adds revocation state to issued certificates and an index for QR lookups.
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_revoked_at timestamptz,
+  ADD COLUMN IF NOT EXISTS certificate_revocation_reason text;
+
+CREATE INDEX IF NOT EXISTS students_certificate_id_idx
+  ON students (certificate_id);
@@ -0,0 +1,17 @@
+-- Server-side refresh tokens for JWT authentication
+-- (POST /v1/auth/verify-otp, /v1/auth/refresh, /v1/auth/logout).
+-- Only a SHA-256 hash of each refresh token is stored.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  token_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_hash text NOT NULL UNIQUE,
+  user_id integer NOT NULL,
+  user_type text NOT NULL CHECK (user_type IN ('admin', 'student')),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid REFERENCES refresh_tokens (token_id),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx
+  ON refresh_tokens (user_type, user_id);
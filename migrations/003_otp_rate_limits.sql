@@ -0,0 +1,20 @@
+-- OTP brute-force protection: per-OTP attempt counters, send rate limits and lockouts.
+
+ALTER TABLE otp_sessions
+  ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ip_address text,
+  ADD COLUMN IF NOT EXISTS invalidated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS otp_sessions_phone_created_idx
+  ON otp_sessions (phone_number, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS otp_sessions_ip_created_idx
+  ON otp_sessions (ip_address, created_at DESC);
+
+-- Temporary lockouts, keyed by the identifier the OTP was sent to (phone number)
+CREATE TABLE IF NOT EXISTS otp_lockouts (
+  identifier text PRIMARY KEY,
+  locked_until timestamptz NOT NULL,
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
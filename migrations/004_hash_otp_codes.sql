@@ -0,0 +1,13 @@
+-- Store OTPs as salted hashes instead of plaintext codes.
+-- Outstanding plaintext OTPs are discarded; users simply request a new one.
+
+ALTER TABLE otp_sessions
+  ADD COLUMN IF NOT EXISTS otp_hash text,
+  ADD COLUMN IF NOT EXISTS otp_salt text;
+
+UPDATE otp_sessions
+  SET invalidated_at = now()
+  WHERE otp_hash IS NULL AND invalidated_at IS NULL;
+
+ALTER TABLE otp_sessions
+  DROP COLUMN IF EXISTS otp_code;
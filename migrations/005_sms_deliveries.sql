@@ -0,0 +1,22 @@
+-- Delivery log for every outbound SMS (message bodies are not stored - they contain OTPs).
+
+CREATE TABLE IF NOT EXISTS sms_deliveries (
+  delivery_id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  phone_number text NOT NULL,
+  template text NOT NULL,
+  provider text,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  gateway_status integer,
+  gateway_response text,
+  error text,
+  attempt_log jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sms_deliveries_created_idx
+  ON sms_deliveries (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS sms_deliveries_status_created_idx
+  ON sms_deliveries (status, created_at DESC);
@@ -0,0 +1,13 @@
+-- Email as an alternative OTP channel: OTP sessions are keyed on either phone_number or email.
+
+ALTER TABLE otp_sessions
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'sms' CHECK (channel IN ('sms', 'email')),
+  ADD COLUMN IF NOT EXISTS email text,
+  ALTER COLUMN phone_number DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS otp_sessions_email_created_idx
+  ON otp_sessions (email, created_at DESC);
+
+-- Email logins match case-insensitively
+CREATE INDEX IF NOT EXISTS admin_email_lower_idx ON admin (lower(email));
+CREATE INDEX IF NOT EXISTS students_email_lower_idx ON students (lower(email));
@@ -0,0 +1,14 @@
+-- Phone numbers are stored in E.164 form (e.g. +919876543210).
+-- Run `npm run migrate:phones -- --apply` first to rewrite existing rows, then apply this file.
+
+ALTER TABLE students
+  ADD CONSTRAINT students_phone_number_e164
+  CHECK (phone_number IS NULL OR phone_number ~ '^\+[1-9][0-9]{6,14}$');
+
+ALTER TABLE admin
+  ADD CONSTRAINT admin_phone_number_e164
+  CHECK (phone_number IS NULL OR phone_number ~ '^\+[1-9][0-9]{6,14}$');
+
+-- OTP sessions and lockouts are short-lived; drop the ones keyed on old-format numbers.
+DELETE FROM otp_sessions WHERE phone_number IS NOT NULL AND phone_number !~ '^\+';
+DELETE FROM otp_lockouts WHERE identifier ~ '^[0-9]+$';
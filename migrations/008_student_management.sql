@@ -0,0 +1,10 @@
+-- Admin student management: soft delete timestamps and one active student per phone number.
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS deleted boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+
+CREATE UNIQUE INDEX IF NOT EXISTS students_active_phone_number_key
+  ON students (phone_number)
+  WHERE deleted = false;
@@ -0,0 +1,14 @@
+-- Admin student listing: know whether a certificate exists without reading the PDF column,
+-- and index the columns the list endpoint filters and sorts on.
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_generated_at timestamptz;
+
+UPDATE students
+  SET certificate_generated_at = now()
+  WHERE certificate IS NOT NULL AND certificate_generated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS students_active_name_idx ON students (name, student_id) WHERE deleted = false;
+CREATE INDEX IF NOT EXISTS students_active_created_at_idx ON students (created_at, student_id) WHERE deleted = false;
+CREATE INDEX IF NOT EXISTS students_course_id_idx ON students (course_id);
+CREATE INDEX IF NOT EXISTS students_company_id_idx ON students (company_id);
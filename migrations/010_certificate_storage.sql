@@ -0,0 +1,10 @@
+-- Certificate PDFs move out of the students table into file storage (local disk or Supabase Storage).
+-- The row keeps a reference to the file and its SHA-256 checksum.
+--
+-- After running this, move existing PDFs with:
+--   npm run migrate:certificates -- --apply
+-- then run 011_drop_certificate_blob.sql.
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_storage_key text,
+  ADD COLUMN IF NOT EXISTS certificate_checksum text;
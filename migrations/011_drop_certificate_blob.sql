@@ -0,0 +1,14 @@
+-- Drop the old certificate bytea column once scripts/migrate-certificate-storage.js has moved every PDF.
+-- Refuses to run while any student still has a PDF that was not moved to file storage.
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM students
+    WHERE certificate IS NOT NULL AND certificate_storage_key IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Some certificates have not been moved to file storage yet - run npm run migrate:certificates -- --apply first';
+  END IF;
+END $$;
+
+ALTER TABLE students DROP COLUMN IF EXISTS certificate;
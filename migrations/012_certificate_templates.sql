@@ -0,0 +1,30 @@
+-- Uploaded certificate templates with per-template field layouts.
+-- Courses and companies can pick a template; a student's company template wins over their course template,
+-- and the template marked is_default is used when neither has one.
+
+CREATE TABLE IF NOT EXISTS certificate_templates (
+  template_id bigserial PRIMARY KEY,
+  name text NOT NULL UNIQUE,
+  storage_key text NOT NULL,
+  checksum text NOT NULL,
+  page_width real NOT NULL,
+  page_height real NOT NULL,
+  layout jsonb,
+  is_default boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS certificate_templates_single_default
+  ON certificate_templates (is_default)
+  WHERE is_default = true;
+
+ALTER TABLE courses
+  ADD COLUMN IF NOT EXISTS template_id bigint REFERENCES certificate_templates (template_id) ON DELETE SET NULL;
+
+ALTER TABLE companies
+  ADD COLUMN IF NOT EXISTS template_id bigint REFERENCES certificate_templates (template_id) ON DELETE SET NULL;
+
+-- Which template each issued certificate was rendered with
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_template_id bigint REFERENCES certificate_templates (template_id) ON DELETE SET NULL;
@@ -0,0 +1,13 @@
+-- Custom TTF/OTF fonts registered per certificate template (files live in file storage).
+-- Layouts refer to them by name; they are also the fallbacks for scripts the built-in fonts cannot print.
+
+CREATE TABLE IF NOT EXISTS template_fonts (
+  font_id bigserial PRIMARY KEY,
+  template_id bigint NOT NULL REFERENCES certificate_templates (template_id) ON DELETE CASCADE,
+  name text NOT NULL,
+  storage_key text NOT NULL,
+  checksum text NOT NULL,
+  postscript_name text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (template_id, name)
+);
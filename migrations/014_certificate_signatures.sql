@@ -0,0 +1,9 @@
+-- Signed certificates: whether each issued PDF carries our PKCS#7 signature, and fast lookup of
+-- uploaded files by the SHA-256 of the issued PDF (certificate_checksum).
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_signed boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS students_certificate_checksum_idx
+  ON students (certificate_checksum)
+  WHERE certificate_checksum IS NOT NULL;
@@ -0,0 +1,65 @@
+-- Certificate version history for revocation and reissue.
+-- Every generated PDF gets a row here with its own certificate_id; the student row keeps pointing at the
+-- current version. Reissuing supersedes the current version (or leaves it revoked) and issues a new ID,
+-- so old QR codes and files still verify as revoked/superseded instead of silently disappearing.
+
+CREATE TABLE IF NOT EXISTS certificate_versions (
+  version_id bigserial PRIMARY KEY,
+  student_id bigint NOT NULL REFERENCES students (student_id),
+  version integer NOT NULL,
+  certificate_id text NOT NULL UNIQUE,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'superseded', 'revoked')),
+  storage_key text,
+  checksum text,
+  signed boolean NOT NULL DEFAULT false,
+  template_id bigint REFERENCES certificate_templates (template_id) ON DELETE SET NULL,
+  -- What was printed on this version, so old versions verify with the details they were issued with
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  generated_at timestamptz NOT NULL DEFAULT now(),
+  superseded_at timestamptz,
+  revoked_at timestamptz,
+  revocation_reason text,
+  revoked_by text,
+  reissue_reason text,
+  UNIQUE (student_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS certificate_versions_checksum_idx
+  ON certificate_versions (checksum)
+  WHERE checksum IS NOT NULL;
+
+-- At most one active version per student
+CREATE UNIQUE INDEX IF NOT EXISTS certificate_versions_single_active
+  ON certificate_versions (student_id)
+  WHERE status = 'active';
+
+-- Certificates issued before version history become version 1
+INSERT INTO certificate_versions (
+  student_id, version, certificate_id, status, storage_key, checksum, signed, template_id,
+  details, generated_at, revoked_at, revocation_reason
+)
+SELECT
+  s.student_id,
+  1,
+  s.certificate_id,
+  CASE WHEN s.certificate_revoked_at IS NULL THEN 'active' ELSE 'revoked' END,
+  s.certificate_storage_key,
+  s.certificate_checksum,
+  s.certificate_signed,
+  s.certificate_template_id,
+  jsonb_build_object(
+    'preferredName', s.preferred_name,
+    'course', c.course_name,
+    'company', co.company_name,
+    'internshipStartDate', s.internship_start_date,
+    'internshipEndDate', s.internship_end_date
+  ),
+  s.certificate_generated_at,
+  s.certificate_revoked_at,
+  s.certificate_revocation_reason
+FROM students s
+LEFT JOIN courses c ON c.course_id = s.course_id
+LEFT JOIN companies co ON co.company_id = s.company_id
+WHERE s.certificate_generated_at IS NOT NULL
+  AND s.certificate_id IS NOT NULL
+ON CONFLICT (certificate_id) DO NOTHING;
@@ -0,0 +1,95 @@
+-- Certificate requests as their own records with an approval workflow:
+--   submitted -> under_review -> approved -> generated -> revoked (-> generated again on reissue)
+--   submitted / under_review / approved -> rejected (with a reason)
+-- The request holds what the student asked for; approving it copies the details onto the student row,
+-- which is what certificates are generated from. Every status change is logged in certificate_request_events.
+
+CREATE TABLE IF NOT EXISTS certificate_requests (
+  request_id bigserial PRIMARY KEY,
+  student_id bigint NOT NULL REFERENCES students (student_id),
+  status text NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'under_review', 'approved', 'rejected', 'generated', 'revoked')),
+  preferred_name text NOT NULL,
+  course_id bigint NOT NULL REFERENCES courses (course_id),
+  company_id bigint NOT NULL REFERENCES companies (company_id),
+  internship_start_date date NOT NULL,
+  internship_end_date date NOT NULL,
+  internship_duration integer NOT NULL,
+  rejection_reason text,
+  submitted_at timestamptz NOT NULL DEFAULT now(),
+  status_changed_at timestamptz NOT NULL DEFAULT now(),
+  reviewed_by text
+);
+
+-- A student can only have one request in progress at a time
+CREATE UNIQUE INDEX IF NOT EXISTS certificate_requests_single_open
+  ON certificate_requests (student_id)
+  WHERE status IN ('submitted', 'under_review', 'approved');
+
+CREATE INDEX IF NOT EXISTS certificate_requests_student_idx
+  ON certificate_requests (student_id, submitted_at DESC);
+
+CREATE INDEX IF NOT EXISTS certificate_requests_queue_idx
+  ON certificate_requests (status, submitted_at);
+
+CREATE TABLE IF NOT EXISTS certificate_request_events (
+  event_id bigserial PRIMARY KEY,
+  request_id bigint NOT NULL REFERENCES certificate_requests (request_id) ON DELETE CASCADE,
+  from_status text,
+  to_status text NOT NULL,
+  actor_role text NOT NULL,
+  actor_id text,
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS certificate_request_events_request_idx
+  ON certificate_request_events (request_id, created_at);
+
+-- Status of each student's latest request, kept on the student row for list filters
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS certificate_request_status text;
+
+CREATE INDEX IF NOT EXISTS students_certificate_request_status_idx
+  ON students (certificate_request_status);
+
+-- Requests submitted before this workflow were written straight onto the student row
+INSERT INTO certificate_requests (
+  student_id, status, preferred_name, course_id, company_id,
+  internship_start_date, internship_end_date, internship_duration,
+  submitted_at, status_changed_at
+)
+SELECT
+  s.student_id,
+  CASE
+    WHEN s.certificate_revoked_at IS NOT NULL THEN 'revoked'
+    WHEN s.certificate_generated_at IS NOT NULL THEN 'generated'
+    ELSE 'submitted'
+  END,
+  s.preferred_name,
+  s.course_id,
+  s.company_id,
+  s.internship_start_date,
+  s.internship_end_date,
+  s.internship_duration,
+  COALESCE(s.created_at, now()),
+  COALESCE(s.certificate_revoked_at, s.certificate_generated_at, s.created_at, now())
+FROM students s
+WHERE s.internship_start_date IS NOT NULL
+  AND s.internship_end_date IS NOT NULL
+  AND s.internship_duration IS NOT NULL
+  AND s.preferred_name IS NOT NULL
+  AND s.course_id IS NOT NULL
+  AND s.company_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM certificate_requests r WHERE r.student_id = s.student_id);
+
+INSERT INTO certificate_request_events (request_id, from_status, to_status, actor_role, created_at)
+SELECT r.request_id, NULL, r.status, 'system', r.status_changed_at
+FROM certificate_requests r
+WHERE NOT EXISTS (SELECT 1 FROM certificate_request_events e WHERE e.request_id = r.request_id);
+
+UPDATE students s
+SET certificate_request_status = r.status
+FROM certificate_requests r
+WHERE r.student_id = s.student_id
+  AND s.certificate_request_status IS NULL;
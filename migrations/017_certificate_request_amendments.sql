@@ -0,0 +1,25 @@
+-- Students can amend or withdraw their certificate request until it is approved.
+-- Each amendment stores the changed fields (old and new values) so the reviewing admin sees what changed.
+
+ALTER TABLE certificate_requests
+  DROP CONSTRAINT IF EXISTS certificate_requests_status_check;
+
+ALTER TABLE certificate_requests
+  ADD CONSTRAINT certificate_requests_status_check
+  CHECK (status IN ('submitted', 'under_review', 'approved', 'rejected', 'generated', 'revoked', 'withdrawn'));
+
+ALTER TABLE certificate_requests
+  ADD COLUMN IF NOT EXISTS amended_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS certificate_request_amendments (
+  amendment_id bigserial PRIMARY KEY,
+  request_id bigint NOT NULL REFERENCES certificate_requests (request_id) ON DELETE CASCADE,
+  -- { "<field>": { "from": <old value>, "to": <new value> } }
+  changes jsonb NOT NULL,
+  actor_role text NOT NULL,
+  actor_id text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS certificate_request_amendments_request_idx
+  ON certificate_request_amendments (request_id, created_at);
@@ -0,0 +1,10 @@
+-- Emails are compared case-insensitively and the API stores them lower-cased. Lower-case the ones
+-- saved before that, so exact lookups (such as the bulk import's duplicate check) find them too.
+
+UPDATE students
+  SET email = lower(email)
+  WHERE email IS NOT NULL AND email <> lower(email);
+
+UPDATE admin
+  SET email = lower(email)
+  WHERE email IS NOT NULL AND email <> lower(email);
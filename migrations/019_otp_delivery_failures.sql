@@ -0,0 +1,5 @@
+-- OTPs that could not be delivered: they cannot be verified and do not start the resend cooldown
+-- (they still count toward the daily send caps).
+
+ALTER TABLE otp_sessions
+  ADD COLUMN IF NOT EXISTS delivery_failed boolean NOT NULL DEFAULT false;
@@ -0,0 +1,11 @@
+-- Two active students may not share an email, whatever its case. The API checks this before writing
+-- (the bulk import by exact match on the lower-cased emails from 018); the index makes the database
+-- refuse a duplicate that slips past those checks, and the write fails with a 409.
+--
+-- Creating the index fails if duplicates already exist. Find them with:
+--   SELECT lower(email), array_agg(student_id) FROM students
+--   WHERE deleted = false AND email IS NOT NULL GROUP BY lower(email) HAVING count(*) > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS students_email_lower_unique
+  ON students (lower(email))
+  WHERE deleted = false AND email IS NOT NULL;
@@ -1,82 +1,125 @@
 import express from 'express';
 import { WorkingOtpService } from '../test-otp.js';
 import supabase from '../supabaseClient.js';
+import TokenService from '../services/tokenService.js';
+import UserService from '../services/userService.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { isDevMode } from '../services/devMode.js';
+import { validate, validationError, z, field, text, oneOf, phoneNumber, email } from '../middleware/validate.js';
 
 const router = express.Router();
 
-// Send OTP endpoint - Fixed to allow signup for new users
-router.post('/send-otp', async (req, res) => {
-  console.log('📱 Send OTP endpoint called');
-  console.log('📱 Request body:', req.body);
+// OTPs go to a phone number by SMS (default) or to an email address
+const OTP_RECIPIENT_FIELDS = {
+  channel: oneOf('Channel', ['sms', 'email']).default('sms'),
+  phoneNumber: phoneNumber().optional(),
+  email: email().optional()
+};
+
+// The recipient for the chosen channel must be given
+function requireRecipient(body, ctx) {
+  if (body.channel === 'email' && !body.email) {
+    ctx.addIssue({ code: 'custom', path: ['email'], message: 'Email is required for the email channel' });
+  }
+  if (body.channel === 'sms' && !body.phoneNumber) {
+    ctx.addIssue({ code: 'custom', path: ['phoneNumber'], message: 'Phone number is required' });
+  }
+}
+
+// The formatted phone number or email an OTP request is for
+function otpDestination({ channel, phoneNumber, email }) {
+  return channel === 'email' ? email : phoneNumber;
+}
+
+const sendOtpSchema = validate({
+  body: z.object({
+    ...OTP_RECIPIENT_FIELDS,
+    name: text('Name', { max: 100 }).nullable().optional(),
+    role: oneOf('Role', ['admin', 'student', 'user']).nullable().optional()
+  }).strict().superRefine(requireRecipient)
+});
 
-  try {
-    const { phoneNumber, name, role } = req.body;
+const verifyOtpSchema = validate({
+  body: z.object({
+    ...OTP_RECIPIENT_FIELDS,
+    otp: field('OTP', (value) => (
+      /^\d{6}$/.test(String(value)) ? { value: String(value) } : { error: 'OTP must be a 6-digit number' }
+    ))
+  }).strict().superRefine(requireRecipient)
+});
 
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number is required',
-        message: 'Phone number must be provided'
-      });
-    }
+const refreshTokenSchema = validate({
+  body: { refreshToken: text('Refresh token') }
+});
 
-    // Format phone number
-    const formattedPhone = WorkingOtpService.formatPhoneNumber(phoneNumber);
+// Send OTP endpoint - by SMS (default) or email, for registered users only
+router.post('/send-otp', sendOtpSchema, async (req, res) => {
+  console.log('📱 Send OTP endpoint called');
+  console.log('📱 Request body:', req.body);
 
-    // Validate phone number
-    if (!WorkingOtpService.validatePhoneNumber(formattedPhone)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid phone number format',
-        message: 'Phone number must be a valid 10-digit Indian mobile number starting with 6-9'
-      });
-    }
+  try {
+    const { name = null, role = null, channel } = req.body;
+    const destination = otpDestination(req.body);
 
     // Send OTP using the WorkingOtpService with role-based validation
-    console.log(`📱 Using WorkingOtpService for ${formattedPhone} with role: ${role}`);
-    const result = await WorkingOtpService.sendOTP(formattedPhone, name, role);
+    console.log(`📱 Using WorkingOtpService for ${destination} (${channel}) with role: ${role}`);
+    const result = await WorkingOtpService.sendOTP(destination, name, role, req.ip, channel);
 
     console.log(`📱 WorkingOtpService Result:`, result);
 
-    // Check if the OTP service returned an error (e.g., phone validation failed)
+    // Check if the OTP service returned an error (e.g., phone validation failed or rate limited)
     if (!result.success) {
-      return res.status(400).json({
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(result.retryAfter ? 429 : 400).json({
         success: false,
         error: result.error || 'Failed to send OTP',
-        message: result.message || 'OTP sending failed'
+        code: result.code,
+        message: result.message || 'OTP sending failed',
+        retryAfter: result.retryAfter
       });
     }
 
-    // Check if SMS was sent successfully
-    const smsSuccess = result.smsResult && result.smsResult.success;
+    // Check if the SMS or email was sent successfully
+    const deliverySuccess = !!result.deliveryResult?.success;
 
-    if (!smsSuccess) {
-      console.error(`❌ SMS failed but OTP was stored in database for ${formattedPhone}`);
-      console.error(`❌ SMS Error:`, result.smsResult);
-    }
+    if (!deliverySuccess) {
+      console.error(`❌ ${channel} delivery failed for ${destination} - the undelivered OTP was invalidated`);
+      console.error(`❌ Delivery Error:`, result.deliveryResult);
 
-    const message = 'OTP sent successfully for authentication';
+      return res.status(502).json({
+        success: false,
+        error: channel === 'email' ? 'Email delivery failed' : 'SMS delivery failed',
+        code: channel === 'email' ? 'EMAIL_DELIVERY_FAILED' : 'SMS_DELIVERY_FAILED',
+        message: `The OTP could not be delivered by ${channel === 'email' ? 'email' : 'SMS'}. Please try again shortly.`,
+        deliveryId: result.deliveryResult?.deliveryId ?? null
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: smsSuccess ? message : `${message} (SMS delivery may have failed)`,
-      phoneNumber: formattedPhone,
-      smsStatus: smsSuccess,
-      smsDetails: result.smsResult || { success: false, error: 'SMS service unavailable' },
-      debug: {
-        generatedOtp: result.otp, // For debugging - remove in production
-        service: 'WorkingOtpService'
-      }
+      message: 'OTP sent successfully for authentication',
+      channel,
+      ...(channel === 'email'
+        ? { email: destination, emailStatus: deliverySuccess, emailDetails: result.deliveryResult }
+        : { phoneNumber: destination, smsStatus: deliverySuccess, smsDetails: result.deliveryResult }),
+      ...(isDevMode() && {
+        debug: {
+          generatedOtp: result.otp,
+          service: 'WorkingOtpService'
+        }
+      })
     });
 
   } catch (error) {
     console.error('📱 Send OTP error:', error);
     
-    // Check if it's a phone validation error (user not registered)
-    if (error.message.includes('Phone number not registered')) {
+    // Check if it's a phone/email validation error (user not registered)
+    if (error.message.includes('not registered')) {
       return res.status(400).json({
         success: false,
-        error: 'Phone number not registered',
+        error: error.message.startsWith('Email') ? 'Email not registered' : 'Phone number not registered',
         message: error.message
       });
     }
@@ -91,65 +134,47 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // Verify OTP endpoint
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', verifyOtpSchema, async (req, res) => {
   console.log('🔐 Verify OTP endpoint called');
   console.log('🔐 Request body:', req.body);
 
   try {
-    const { phoneNumber, otp, name } = req.body;
-
-    if (!phoneNumber || !otp) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number and OTP are required',
-        message: 'Both phone number and OTP must be provided'
-      });
-    }
-
-    // Format phone number
-    const formattedPhone = WorkingOtpService.formatPhoneNumber(phoneNumber);
-
-    // Validate phone number
-    if (!WorkingOtpService.validatePhoneNumber(formattedPhone)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid phone number format',
-        message: 'Phone number must be a valid 10-digit Indian mobile number starting with 6-9'
-      });
-    }
-
-    // Validate OTP format
-    if (!/^\d{6}$/.test(otp)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid OTP format',
-        message: 'OTP must be a 6-digit number'
-      });
-    }
+    const { otp, channel } = req.body;
+    const destination = otpDestination(req.body);
 
     // Verify OTP using the restored OTP service
-    const otpResult = await WorkingOtpService.verifyOTP(formattedPhone, otp);
+    const otpResult = await WorkingOtpService.verifyOTP(destination, otp, channel);
 
     if (!otpResult.isValid) {
-      return res.status(401).json({
+      if (otpResult.retryAfter) {
+        res.set('Retry-After', String(otpResult.retryAfter));
+      }
+      return res.status(otpResult.retryAfter ? 429 : 401).json({
         success: false,
-        error: 'Invalid or expired OTP',
-        message: otpResult.message
+        error: otpResult.retryAfter ? 'Too many failed attempts' : 'Invalid or expired OTP',
+        code: otpResult.code,
+        message: otpResult.message,
+        retryAfter: otpResult.retryAfter,
+        attemptsRemaining: otpResult.attemptsRemaining
       });
     }
 
-    // Check if user exists in any of the user tables
+    // Check if user exists in any of the user tables (by phone, or case-insensitively by email)
     let user = null;
     let userType = null;
     let isNewUser = false;
     let message = '';
 
+    const matchRecipient = (query) => channel === 'email'
+      ? query.ilike('email', destination.replace(/[%_\\]/g, '\\$&'))
+      : query.eq('phone_number', destination);
+
     // Check admin table
-    const { data: adminUser, error: adminError } = await supabase
-      .from('admin')
-      .select('*')
-      .eq('phone_number', formattedPhone)
-      .single();
+    const { data: adminUser, error: adminError } = await matchRecipient(
+      supabase
+        .from('admin')
+        .select('*')
+    ).single();
 
     if (!adminError && adminUser) {
       user = adminUser;
@@ -160,12 +185,12 @@ router.post('/verify-otp', async (req, res) => {
 
     // Check students table if not found in admin
     if (!user) {
-      const { data: studentUser, error: studentError } = await supabase
-        .from('students')
-        .select('*')
-        .eq('phone_number', formattedPhone)
-        .eq('deleted', false)
-        .single();
+      const { data: studentUser, error: studentError } = await matchRecipient(
+        supabase
+          .from('students')
+          .select('*')
+          .eq('deleted', false)
+      ).single();
 
       if (!studentError && studentUser) {
         user = studentUser;
@@ -180,13 +205,16 @@ router.post('/verify-otp', async (req, res) => {
       return res.status(404).json({
         success: false,
         error: 'User not found',
-        message: 'Phone number not registered. Please contact administrator to register your phone number.'
+        message: channel === 'email'
+          ? 'Email address not registered. Please contact administrator to register your email address.'
+          : 'Phone number not registered. Please contact administrator to register your phone number.'
       });
     }
 
-    // Generate a simple session token (in production, use JWT)
+    // Issue signed access token and server-side refresh token
     const userId = userType === 'admin' ? user.admin_id : user.student_id;
-    const sessionToken = `session_${userId}_${Date.now()}`;
+    const { accessToken, refreshToken, tokenType, expiresIn, refreshTokenExpiresAt } =
+      await TokenService.issueTokens(userId, userType);
 
     // Log login activity
     const loginLogTable = userType === 'admin' ? 'admin_login_logs' : 'student_login_logs';
@@ -216,7 +244,12 @@ router.post('/verify-otp', async (req, res) => {
         createdAt: user.created_at,
         role: userType
       },
-      sessionToken,
+      accessToken,
+      refreshToken,
+      tokenType,
+      expiresIn,
+      refreshTokenExpiresAt,
+      sessionToken: accessToken, // Deprecated alias of accessToken for older clients
       otpVerified: true
     });
 
@@ -230,203 +263,170 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
-// Get user profile endpoint (requires session token)
-router.get('/profile/:sessionToken', async (req, res) => {
-  console.log('👤 Get profile endpoint called');
+// Refresh tokens endpoint - exchanges a refresh token for a new token pair
+router.post('/refresh', refreshTokenSchema, async (req, res) => {
+  console.log('🔄 Refresh token endpoint called');
 
   try {
-    const { sessionToken } = req.params;
+    const { refreshToken } = req.body;
+
+    const tokens = await TokenService.rotateRefreshToken(refreshToken);
 
-    if (!sessionToken || !sessionToken.startsWith('session_')) {
+    if (!tokens) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid session token',
-        message: 'Valid session token is required'
+        error: 'Invalid refresh token',
+        message: 'Refresh token is invalid, expired or revoked. Please log in again.'
       });
     }
 
-    // Extract user ID from session token
-    const parts = sessionToken.split('_');
-    if (parts.length < 3) {
+    // Make sure the account still exists before handing out new tokens
+    const user = await UserService.findById(tokens.role, tokens.userId);
+
+    if (!user) {
+      await TokenService.revokeAllForUser(tokens.userId, tokens.role);
       return res.status(401).json({
         success: false,
-        error: 'Invalid session token format',
-        message: 'Session token format is invalid'
+        error: 'User not found',
+        message: 'User account no longer exists'
       });
     }
 
-    const userId = parts[1];
-
-    // Try to find user in admin table first
-    let user = null;
-    let userType = null;
-    
-    const { data: adminUser, error: adminError } = await supabase
-      .from('admin')
-      .select('*')
-      .eq('admin_id', userId)
-      .single();
+    res.status(200).json({
+      success: true,
+      message: 'Tokens refreshed successfully',
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      tokenType: tokens.tokenType,
+      expiresIn: tokens.expiresIn,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    });
 
-    if (!adminError && adminUser) {
-      user = adminUser;
-      userType = 'admin';
-    } else {
-      // Try students table
-      const { data: studentUser, error: studentError } = await supabase
-        .from('students')
-        .select('*')
-        .eq('student_id', userId)
-        .eq('deleted', false)
-        .single();
+  } catch (error) {
+    console.error('🔄 Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh tokens',
+      message: error.message
+    });
+  }
+});
 
-      if (!studentError && studentUser) {
-        user = studentUser;
-        userType = 'student';
-      }
-    }
+// Logout endpoint - revokes the given refresh token
+router.post('/logout', refreshTokenSchema, async (req, res) => {
+  console.log('👋 Logout endpoint called');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
+  try {
+    const { refreshToken } = req.body;
 
-    const responseUserId = userType === 'admin' ? user.admin_id : user.student_id;
+    // Logging out twice (or with an already expired token) is not an error
+    await TokenService.revokeRefreshToken(refreshToken);
 
     res.status(200).json({
       success: true,
-      message: 'Profile retrieved successfully',
-      userType,
-      user: {
-        id: responseUserId,
-        phoneNumber: user.phone_number,
-        name: user.name,
-        email: user.email || null,
-        createdAt: user.created_at,
-        role: userType
-      }
+      message: 'Logged out successfully'
     });
 
   } catch (error) {
-    console.error('👤 Get profile error:', error);
+    console.error('👋 Logout error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get profile',
+      error: 'Failed to log out',
       message: error.message
     });
   }
 });
 
-// Update user profile endpoint
-router.put('/profile/:sessionToken', async (req, res) => {
+// Profile fields a user may change through PATCH /me
+const PROFILE_FIELDS = {
+  name: text('Name', { min: 2, max: 100 }).optional(),
+  email: email().nullable().optional()
+};
+
+const profileUpdateSchema = validate({ body: PROFILE_FIELDS });
+
+// Get the authenticated user's profile
+function getProfile(req, res) {
+  console.log('👤 Get profile endpoint called');
+
+  const { role, user } = req.auth;
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile retrieved successfully',
+    userType: role,
+    user: UserService.toProfile(user, role)
+  });
+}
+
+// Update the authenticated user's profile
+async function updateProfile(req, res) {
   console.log('✏️ Update profile endpoint called');
 
   try {
-    const { sessionToken } = req.params;
-    const { name } = req.body;
-
-    if (!sessionToken || !sessionToken.startsWith('session_')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid session token',
-        message: 'Valid session token is required'
-      });
+    const { role, userId } = req.auth;
+    const updates = Object.fromEntries(
+      Object.entries(req.body).filter(([, value]) => value !== undefined)
+    );
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json(validationError([{
+        location: 'body',
+        field: null,
+        message: `Provide at least one of: ${Object.keys(PROFILE_FIELDS).join(', ')}`
+      }]));
     }
 
-    if (!name || name.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid name',
-        message: 'Name must be at least 2 characters long'
-      });
-    }
+    const { table, idField, activeOnly } = UserService.getTable(role);
 
-    // Extract user ID from session token
-    const parts = sessionToken.split('_');
-    const userId = parts[1];
+    // Email addresses must stay unique within a user table
+    if (updates.email) {
+      let duplicateQuery = supabase
+        .from(table)
+        .select(idField)
+        .ilike('email', updates.email.replace(/[%_\\]/g, '\\$&'))
+        .neq(idField, userId)
+        .limit(1);
 
-    // Find user first to determine table
-    let user = null;
-    let userType = null;
-    let updatedUser = null;
-    
-    // Try admin table first
-    const { data: adminUser, error: adminError } = await supabase
-      .from('admin')
-      .select('*')
-      .eq('admin_id', userId)
-      .single();
+      if (activeOnly) {
+        duplicateQuery = duplicateQuery.eq('deleted', false);
+      }
 
-    if (!adminError && adminUser) {
-      userType = 'admin';
-      const { data: updated, error: updateError } = await supabase
-        .from('admin')
-        .update({ name: name.trim() })
-        .eq('admin_id', userId)
-        .select()
-        .single();
-        
-      if (updateError) {
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to update admin profile',
-          message: updateError.message
-        });
+      const { data: duplicates, error: duplicateError } = await duplicateQuery;
+
+      if (duplicateError) {
+        throw new Error(`Failed to check email: ${duplicateError.message}`);
       }
-      updatedUser = updated;
-    } else {
-      // Try students table
-      const { data: studentUser, error: studentError } = await supabase
-        .from('students')
-        .select('*')
-        .eq('student_id', userId)
-        .eq('deleted', false)
-        .single();
 
-      if (!studentError && studentUser) {
-        userType = 'student';
-        const { data: updated, error: updateError } = await supabase
-          .from('students')
-          .update({ name: name.trim() })
-          .eq('student_id', userId)
-          .select()
-          .single();
-          
-        if (updateError) {
-          return res.status(500).json({
-            success: false,
-            error: 'Failed to update student profile',
-            message: updateError.message
-          });
-        }
-        updatedUser = updated;
-        
-        // Student name updated in database only
-      } else {
-        return res.status(404).json({
+      if (duplicates.length > 0) {
+        return res.status(409).json({
           success: false,
-          error: 'User not found',
-          message: 'User profile not found'
+          error: 'Email already in use',
+          message: 'Another account is already registered with this email address'
         });
       }
     }
 
-    const responseUserId = userType === 'admin' ? updatedUser.admin_id : updatedUser.student_id;
+    const { data: updatedUser, error: updateError } = await supabase
+      .from(table)
+      .update(updates)
+      .eq(idField, userId)
+      .select()
+      .single();
+
+    if (updateError) {
+      return res.status(500).json({
+        success: false,
+        error: `Failed to update ${role} profile`,
+        message: updateError.message
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      userType,
-      user: {
-        id: responseUserId,
-        phoneNumber: updatedUser.phone_number,
-        name: updatedUser.name,
-        email: updatedUser.email || null,
-        createdAt: updatedUser.created_at,
-        role: userType
-      }
+      userType: role,
+      user: UserService.toProfile(updatedUser, role)
     });
 
   } catch (error) {
@@ -437,10 +437,28 @@ router.put('/profile/:sessionToken', async (req, res) => {
       message: error.message
     });
   }
-});
+}
+
+// Current user profile endpoints (Bearer access token in the Authorization header)
+router.get('/me', authenticate, validate({ query: {} }), getProfile);
+router.patch('/me', authenticate, profileUpdateSchema, updateProfile);
+
+// Deprecated: the token in the URL ends up in access logs and browser history.
+// Kept for older clients until they move to /me; authenticates the path token like a Bearer header.
+function deprecatedPathToken(req, res, next) {
+  console.warn('⚠️ Deprecated /v1/auth/profile/:sessionToken endpoint called - use /v1/auth/me');
+
+  res.set('Deprecation', 'true');
+  res.set('Link', '</v1/auth/me>; rel="successor-version"');
+  req.headers.authorization = `Bearer ${req.params.sessionToken}`;
+  next();
+}
+
+router.get('/profile/:sessionToken', deprecatedPathToken, authenticate, getProfile);
+router.put('/profile/:sessionToken', deprecatedPathToken, authenticate, profileUpdateSchema, updateProfile);
 
-// Cleanup expired OTPs endpoint (admin utility)
-router.post('/cleanup-otps', async (req, res) => {
+// Cleanup expired OTPs endpoint (admin only)
+router.post('/cleanup-otps', authenticate, requireAdmin, validate({ body: {} }), async (req, res) => {
   console.log('🧹 Cleanup OTPs endpoint called');
 
   try {
@@ -0,0 +1,259 @@
+import express from 'express';
+import supabase from '../supabaseClient.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import CertificateGenerator from '../services/certificateGenerator.js';
+import CertificateRequests, { REQUEST_STATES, OPEN_STATES } from '../services/certificateRequests.js';
+import CertificateVersions from '../services/certificateVersions.js';
+import { validate, field, integer, positiveInt, boolean, text } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// The review queue is admin only
+router.use(authenticate, requireAdmin);
+
+const certificateGenerator = new CertificateGenerator();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_REASON_LENGTH = 500;
+
+const REQUEST_ID_PARAMS = { requestId: positiveInt('Request ID') };
+
+function adminActor(req) {
+  return { role: req.auth.role, id: req.auth.userId };
+}
+
+// Load the :requestId request, or send a 404 and return null
+async function loadRequest(req, res) {
+  const request = await CertificateRequests.findById(req.params.requestId);
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      error: 'Certificate request not found'
+    });
+    return null;
+  }
+
+  return request;
+}
+
+function sendError(res, error, message) {
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: error.message
+  });
+}
+
+// Review queue: requests in the given states (default: submitted and under review), oldest first.
+// Query: status (comma separated), limit, offset
+router.get('/', validate({
+  query: {
+    status: field('status', (value) => {
+      const statuses = String(value).split(',').map(status => status.trim());
+      return statuses.every(status => REQUEST_STATES.includes(status))
+        ? { value: statuses }
+        : { error: `status must be a comma separated list of: ${REQUEST_STATES.join(', ')}` };
+    }).default(OPEN_STATES.filter(status => status !== 'approved')),
+    limit: integer('limit', { min: 1, max: MAX_PAGE_SIZE }).default(DEFAULT_PAGE_SIZE),
+    offset: integer('offset', { min: 0 }).default(0)
+  }
+}), async (req, res) => {
+  try {
+    const { status: statuses, limit, offset } = req.query;
+
+    const { requests, total } = await CertificateRequests.list({ statuses, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + requests.length < total
+      },
+      requests
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to list certificate requests');
+  }
+});
+
+// A request with its status history and the student's amendments (old and new values)
+router.get('/:requestId', validate({ params: REQUEST_ID_PARAMS }), async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const [history, amendments] = await Promise.all([
+      CertificateRequests.listEvents(request.requestId),
+      CertificateRequests.listAmendments(request.requestId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...request,
+        history,
+        amendments
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch certificate request');
+  }
+});
+
+// Take a submitted request into review
+router.post('/:requestId/review', validate({ params: REQUEST_ID_PARAMS, body: {} }), async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const { request: updated, status, error } = await CertificateRequests.transition(request, 'under_review', {
+      actor: adminActor(req)
+    });
+
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate request is under review',
+      data: updated
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to update certificate request');
+  }
+});
+
+// Approve a request, copying its details onto the student. Body: { generate } - with generate: true
+// the certificate is generated straight away; if that fails the request stays approved.
+router.post('/:requestId/approve', validate({
+  params: REQUEST_ID_PARAMS,
+  body: { generate: boolean('generate').default(false) }
+}), async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const { generate } = req.body;
+
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('student_id, certificate_id, certificate_generated_at, deleted')
+      .eq('student_id', request.studentId)
+      .maybeSingle();
+
+    if (studentError) {
+      throw new Error(`Failed to fetch student: ${studentError.message}`);
+    }
+
+    if (!student || student.deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Student not found',
+        message: 'The student who made this request has been deleted'
+      });
+    }
+
+    if (student.certificate_generated_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Certificate already generated',
+        message: 'This student already has a certificate - reissue it instead of approving a new request'
+      });
+    }
+
+    const { request: approved, status, error } = await CertificateRequests.approve(request, {
+      actor: adminActor(req),
+      certificateId: student.certificate_id || await CertificateVersions.generateCertificateId()
+    });
+
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    console.log(`✅ Certificate request ${approved.requestId} approved`);
+
+    if (!generate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Certificate request approved',
+        data: approved
+      });
+    }
+
+    try {
+      const generation = await certificateGenerator.generateAndSaveCertificate(approved.studentId, {
+        actor: adminActor(req)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Certificate request approved and certificate generated',
+        data: await CertificateRequests.findById(approved.requestId),
+        certificate: generation
+      });
+    } catch (generationError) {
+      console.error('❌ Certificate generation after approval failed:', generationError);
+
+      res.status(200).json({
+        success: true,
+        message: 'Certificate request approved, but the certificate could not be generated',
+        data: approved,
+        generationError: generationError.message,
+        errors: generationError.errors
+      });
+    }
+
+  } catch (error) {
+    sendError(res, error, 'Failed to approve certificate request');
+  }
+});
+
+// Reject a request that has not been approved yet. Body: { reason } (required, shown to the student)
+router.post('/:requestId/reject', validate({
+  params: REQUEST_ID_PARAMS,
+  body: { reason: text('Rejection reason', { max: MAX_REASON_LENGTH }) }
+}), async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const { reason } = req.body;
+
+    const { request: rejected, status, error } = await CertificateRequests.transition(request, 'rejected', {
+      actor: adminActor(req),
+      reason
+    });
+
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate request rejected',
+      data: rejected
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to reject certificate request');
+  }
+});
+
+export default router;
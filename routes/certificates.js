@@ -1,185 +1,358 @@
 import express from 'express';
 import supabase from '../supabaseClient.js';
+import { authenticate, requireAdmin, requireOwnPhoneOrAdmin } from '../middleware/auth.js';
+import Catalog from '../services/catalog.js';
+import CertificateBatchJobs from '../services/certificateBatchJobs.js';
+import CertificateExport from '../services/certificateExport.js';
+import CertificateGenerator from '../services/certificateGenerator.js';
+import CertificateVersions from '../services/certificateVersions.js';
+import CertificateRequests, { EDITABLE_STATES } from '../services/certificateRequests.js';
+import { parseStudentFilters, STUDENT_FILTER_FIELDS } from '../services/studentFilters.js';
+import { validateInternship, MIN_DURATION_MONTHS, MAX_DURATION_MONTHS } from '../services/internshipDates.js';
+import { validate, validationError, z, field, integer, positiveInt, text, phoneNumber, isoDate } from '../middleware/validate.js';
 
 const router = express.Router();
 
-// Submit certificate request endpoint
-router.post('/request', async (req, res) => {
+const certificateGenerator = new CertificateGenerator();
+
+const STUDENT_ID_PARAMS = { studentId: positiveInt('Student ID') };
+
+const PHONE_NUMBER_PARAMS = { phoneNumber: phoneNumber() };
+
+// Batch jobs are identified by a UUID
+const JOB_ID_PARAMS = {
+  jobId: field('Job ID', value => (
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+      ? { value: value.toLowerCase() }
+      : { error: 'Job ID must be a UUID' }
+  ))
+};
+
+const REASON = text('Reason', { max: CertificateVersions.maxReasonLength });
+
+// An optional reason; an empty one counts as none
+const OPTIONAL_REASON = z.preprocess(
+  value => (value === undefined || (typeof value === 'string' && !value.trim()) ? null : value),
+  REASON.nullable()
+);
+
+// The request fields a student fills in
+const REQUEST_FIELDS = {
+  preferred_name: text('Preferred name', { max: 100 }),
+  course_name: text('Course name', { max: 200 }),
+  company_name: text('Company name', { max: 200 }),
+  internship_start_date: isoDate('Start date'),
+  internship_duration: integer('Duration', { min: MIN_DURATION_MONTHS, max: MAX_DURATION_MONTHS })
+};
+
+// Check requested certificate details (already validated against REQUEST_FIELDS) against the catalog,
+// the internship date rules and the certificate template. Returns { details } for
+// CertificateRequests.submit/amend, or { error } with a 400 response body listing every problem per field.
+async function resolveRequestDetails({ preferred_name, course_name, company_name, internship_start_date, internship_duration }, certificateId) {
+  const errors = [];
+
+  // Find course_id and company_id based on selected names
+  const courses = await Catalog.findCourseByName(course_name);
+  if (!courses) {
+    errors.push({ field: 'course_name', message: 'Selected course not found' });
+  }
+
+  const companies = await Catalog.findCompanyByName(company_name);
+  if (!companies) {
+    errors.push({ field: 'company_name', message: 'Selected company not found' });
+  }
+
+  // Strict date and duration rules; the end date is computed here, never taken from the client
+  const { internship, errors: internshipErrors } = validateInternship({ internship_start_date, internship_duration });
+  if (internshipErrors) {
+    errors.push(...internshipErrors);
+  }
+
+  if (errors.length > 0) {
+    return { error: validationError(errors.map(error => ({ location: 'body', ...error }))) };
+  }
+
+  // Make sure the certificate template has fonts for everything that will be printed,
+  // so an unprintable name is rejected now rather than failing at generation time
+  const unsupported = await certificateGenerator.findUnsupportedCharacters({
+    preferred_name,
+    course_name: courses.course_name,
+    company_name: companies.company_name,
+    course_id: courses.course_id,
+    company_id: companies.company_id,
+    internship_start_date: internship.startDate,
+    internship_end_date: internship.endDate,
+    certificate_id: certificateId || 'XXXXXXXX'
+  });
+
+  if (unsupported.length > 0) {
+    const nameProblem = unsupported.find(problem => problem.field === 'name');
+    return {
+      error: {
+        success: false,
+        error: 'Unsupported characters',
+        code: 'UNSUPPORTED_CHARACTERS',
+        message: nameProblem
+          ? `Your preferred name contains characters the certificate cannot print: ${nameProblem.characters.join(' ')}. Please contact the admin or use a different spelling.`
+          : 'The certificate template cannot print this course or company name. Please contact the admin.',
+        fields: unsupported
+      }
+    };
+  }
+
+  return {
+    details: {
+      preferredName: preferred_name,
+      courseId: courses.course_id,
+      course: courses.course_name,
+      companyId: companies.company_id,
+      company: companies.company_name,
+      internshipStartDate: internship.startDate,
+      internshipEndDate: internship.endDate,
+      internshipDuration: internship.duration
+    }
+  };
+}
+
+// Find the student with a (normalized) phone number and their latest certificate request.
+// Returns { student, request } or { status, error } with the HTTP status and error body to send.
+async function findStudentRequest(phoneNumber) {
+  const { data: student, error } = await supabase
+    .from('students')
+    .select('student_id, name, certificate_id, certificate_generated_at')
+    .eq('phone_number', phoneNumber)
+    .eq('deleted', false)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch student: ${error.message}`);
+  }
+
+  if (!student) {
+    return {
+      status: 404,
+      error: {
+        success: false,
+        error: 'Student not found',
+        message: 'No student found with the provided phone number'
+      }
+    };
+  }
+
+  return { student, request: await CertificateRequests.findLatestForStudent(student.student_id) };
+}
+
+const submitRequestSchema = validate({
+  body: { phone_number: phoneNumber(), ...REQUEST_FIELDS }
+});
+
+const amendRequestSchema = validate({
+  params: PHONE_NUMBER_PARAMS,
+  body: Object.fromEntries(Object.entries(REQUEST_FIELDS).map(([name, schema]) => [name, schema.optional()]))
+});
+
+// Submit certificate request endpoint (students for themselves, or an admin on their behalf)
+router.post('/request', authenticate, submitRequestSchema, requireOwnPhoneOrAdmin(req => req.body.phone_number), async (req, res) => {
   try {
     console.log('📋 Certificate request submission received');
     console.log('📋 Request body:', req.body);
 
-    const {
-      phone_number,
-      internship_start_date,
-      internship_duration,
-      course_name,
-      company_name,
-      preferred_name
-    } = req.body;
-
-    // Validate required fields
-    if (!phone_number || !internship_start_date || !internship_duration || !course_name || !company_name || !preferred_name) {
+    const { student, request: latestRequest, status, error } = await findStudentRequest(req.body.phone_number);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    // A new request is only accepted if the student has none, or their last one was rejected or withdrawn
+    if ((latestRequest && !['rejected', 'withdrawn'].includes(latestRequest.status)) || student.certificate_generated_at) {
+      const canAmend = latestRequest && EDITABLE_STATES.includes(latestRequest.status);
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields',
-        message: 'All fields are required for certificate request'
+        error: 'Certificate request already submitted',
+        message: canAmend
+          ? 'You have already submitted a certificate request. You can amend or withdraw it until it is approved.'
+          : 'You have already submitted a certificate request. Each student can only request a certificate once.',
+        requestStatus: latestRequest?.status || 'generated'
       });
     }
 
-    // Find course_id and company_id based on selected names
-    const { data: courses, error: courseError } = await supabase
-      .from('courses')
-      .select('course_id, course_name')
-      .eq('course_name', course_name)
-      .single();
+    const { details, error: detailsError } = await resolveRequestDetails(req.body, student.certificate_id);
+    if (detailsError) {
+      return res.status(400).json(detailsError);
+    }
+
+    // The request is kept apart from the student row until an admin approves it
+    const request = await CertificateRequests.submit(student.student_id, details, { role: req.auth.role, id: req.auth.userId });
+
+    console.log('✅ Certificate request submitted successfully for:', student.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate request submitted successfully',
+      data: {
+        requestId: request.requestId,
+        status: request.status,
+        studentId: student.student_id,
+        name: student.name,
+        preferredName: request.preferredName,
+        course: request.course,
+        company: request.company,
+        internshipStartDate: request.internshipStartDate,
+        internshipEndDate: request.internshipEndDate,
+        requestDate: request.submittedAt
+      }
+    });
 
-    if (courseError || !courses) {
+  } catch (error) {
+    console.error('📋 Certificate request error:', error);
+
+    // Two submissions raced past the check above; the open-request index lets only one in
+    if (error.code === '23505') {
       return res.status(400).json({
         success: false,
-        error: 'Invalid course selection',
-        message: 'Selected course not found'
+        error: 'Certificate request already submitted',
+        message: 'You have already submitted a certificate request. Each student can only request a certificate once.'
       });
     }
 
-    const { data: companies, error: companyError } = await supabase
-      .from('companies')
-      .select('company_id, company_name')
-      .eq('company_name', company_name)
-      .single();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process certificate request',
+      message: error.message
+    });
+  }
+});
+
+// Amend a certificate request that has not been approved yet (admin or the student themselves).
+// Body: any of preferred_name, course_name, company_name, internship_start_date, internship_duration
+router.patch('/request/:phoneNumber', authenticate, amendRequestSchema, requireOwnPhoneOrAdmin(req => req.params.phoneNumber), async (req, res) => {
+  try {
+    const givenFields = Object.keys(REQUEST_FIELDS).filter(field => req.body[field] !== undefined);
+    if (givenFields.length === 0) {
+      return res.status(400).json(validationError([{
+        location: 'body',
+        field: null,
+        message: `Provide at least one of: ${Object.keys(REQUEST_FIELDS).join(', ')}`
+      }]));
+    }
+
+    const { student, request, status, error } = await findStudentRequest(req.params.phoneNumber);
+    if (error) {
+      return res.status(status).json(error);
+    }
 
-    if (companyError || !companies) {
-      return res.status(400).json({
+    if (!request) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid company selection',
-        message: 'Selected company not found'
+        error: 'Certificate request not found',
+        message: 'No certificate request has been submitted for this phone number'
       });
     }
 
-    // Calculate internship end date
-    const startDate = new Date(internship_start_date);
-    const endDate = new Date(startDate);
-    endDate.setMonth(endDate.getMonth() + parseInt(internship_duration));
+    console.log(`✏️ Certificate request ${request.requestId} amendment:`, givenFields.join(', '));
 
-    // Check if student exists and if they have already submitted a certificate request
-    const { data: existingStudent } = await supabase
-      .from('students')
-      .select('certificate_id, internship_start_date, preferred_name')
-      .eq('phone_number', phone_number)
-      .eq('deleted', false)
-      .single();
+    // The amended request is checked as a whole, so the end date follows a changed start date or duration
+    const { details, error: detailsError } = await resolveRequestDetails({
+      preferred_name: request.preferredName,
+      course_name: request.course,
+      company_name: request.company,
+      internship_start_date: request.internshipStartDate,
+      internship_duration: request.internshipDuration,
+      ...Object.fromEntries(givenFields.map(field => [field, req.body[field]]))
+    }, student.certificate_id);
 
-    // Check if student has already submitted a certificate request
-    if (existingStudent && (existingStudent.internship_start_date || existingStudent.preferred_name)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Certificate request already submitted',
-        message: 'You have already submitted a certificate request. Each student can only request a certificate once.'
-      });
+    if (detailsError) {
+      return res.status(400).json(detailsError);
     }
 
-    // Generate certificate ID if not exists
-    function generateCertificateId() {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-      let result = '';
-      for (let i = 0; i < 8; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return result;
+    const { request: amended, changes, status: amendStatus, error: amendError } = await CertificateRequests.amend(
+      request,
+      details,
+      { role: req.auth.role, id: req.auth.userId }
+    );
+
+    if (amendError) {
+      return res.status(amendStatus).json(amendError);
     }
 
-    const certificateId = existingStudent?.certificate_id || generateCertificateId();
+    res.status(200).json({
+      success: true,
+      message: 'Certificate request amended',
+      data: amended,
+      changes
+    });
 
-    // Update student record with certificate request data
-    const { data: updatedStudent, error: updateError } = await supabase
-      .from('students')
-      .update({
-        internship_start_date: internship_start_date,
-        internship_end_date: endDate.toISOString().split('T')[0],
-        internship_duration: parseInt(internship_duration),
-        course_id: courses.course_id,
-        company_id: companies.company_id,
-        preferred_name: preferred_name.trim(),
-        certificate_id: certificateId
-      })
-      .eq('phone_number', phone_number)
-      .eq('deleted', false)
-      .select()
-      .single();
+  } catch (error) {
+    console.error('✏️ Certificate request amendment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to amend certificate request',
+      message: error.message
+    });
+  }
+});
 
-    if (updateError) {
-      console.error('❌ Error updating student record:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to submit certificate request',
-        details: updateError.message
-      });
+// Withdraw a certificate request that has not been approved yet (admin or the student themselves).
+// Body: { reason } (optional). The student can submit a new request afterwards.
+router.delete('/request/:phoneNumber', authenticate, validate({
+  params: PHONE_NUMBER_PARAMS,
+  body: { reason: OPTIONAL_REASON }
+}), requireOwnPhoneOrAdmin(req => req.params.phoneNumber), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const { request, status, error } = await findStudentRequest(req.params.phoneNumber);
+    if (error) {
+      return res.status(status).json(error);
     }
 
-    if (!updatedStudent) {
+    if (!request) {
       return res.status(404).json({
         success: false,
-        error: 'Student not found',
-        message: 'No student found with the provided phone number'
+        error: 'Certificate request not found',
+        message: 'No certificate request has been submitted for this phone number'
       });
     }
 
-    console.log('✅ Certificate request submitted successfully for:', updatedStudent.name);
+    const { request: withdrawn, status: withdrawStatus, error: withdrawError } = await CertificateRequests.transition(request, 'withdrawn', {
+      actor: { role: req.auth.role, id: req.auth.userId },
+      reason
+    });
+
+    if (withdrawError) {
+      return res.status(withdrawStatus).json(withdrawError);
+    }
 
-    // Certificate request data stored in database only
+    console.log(`↩️ Certificate request ${withdrawn.requestId} withdrawn`);
 
     res.status(200).json({
       success: true,
-      message: 'Certificate request submitted successfully',
-      data: {
-        studentId: updatedStudent.student_id,
-        name: updatedStudent.name,
-        preferredName: updatedStudent.preferred_name,
-        course: course_name,
-        company: company_name,
-        internshipStartDate: internship_start_date,
-        internshipEndDate: endDate.toISOString().split('T')[0],
-        requestDate: new Date().toISOString()
-      }
+      message: 'Certificate request withdrawn',
+      data: withdrawn
     });
 
   } catch (error) {
-    console.error('📋 Certificate request error:', error);
+    console.error('↩️ Certificate request withdrawal error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process certificate request',
+      error: 'Failed to withdraw certificate request',
       message: error.message
     });
   }
 });
 
-// Get certificate request status
-router.get('/request-status/:phoneNumber', async (req, res) => {
+// Get certificate request status (admin or the student themselves)
+router.get('/request-status/:phoneNumber', authenticate, validate({
+  params: PHONE_NUMBER_PARAMS
+}), requireOwnPhoneOrAdmin(req => req.params.phoneNumber), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
 
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number is required'
-      });
-    }
-
     const { data: student, error } = await supabase
       .from('students')
-      .select(`
-        student_id,
-        name,
-        preferred_name,
-        internship_start_date,
-        internship_end_date,
-        eligible,
-        courses(course_name),
-        companies(company_name)
-      `)
+      .select('student_id, name, eligible, certificate_id, certificate_generated_at')
       .eq('phone_number', phoneNumber)
       .eq('deleted', false)
-      .single();
+      .maybeSingle();
 
     if (error) {
       return res.status(500).json({
@@ -196,25 +369,33 @@ router.get('/request-status/:phoneNumber', async (req, res) => {
       });
     }
 
-    const hasSubmittedRequest = !!(student.internship_start_date && student.preferred_name);
-    const hasCertificate = false;
+    const request = await CertificateRequests.findLatestForStudent(student.student_id);
+    const history = request ? await CertificateRequests.listEvents(request.requestId) : [];
+    const hasCertificate = !!student.certificate_generated_at;
 
     res.status(200).json({
       success: true,
       data: {
         studentId: student.student_id,
         name: student.name,
-        preferredName: student.preferred_name,
-        course: student.courses?.course_name,
-        company: student.companies?.company_name,
-        internshipStartDate: student.internship_start_date,
-        internshipEndDate: student.internship_end_date,
-        requestDate: null,
-        hasSubmittedRequest,
+        requestId: request?.requestId || null,
+        preferredName: request?.preferredName || null,
+        course: request?.course || null,
+        company: request?.company || null,
+        internshipStartDate: request?.internshipStartDate || null,
+        internshipEndDate: request?.internshipEndDate || null,
+        requestDate: request?.submittedAt || null,
+        hasSubmittedRequest: !!request,
         isEligible: student.eligible,
         hasCertificate,
-        certificateGeneratedAt: null,
-        status: hasCertificate ? 'completed' : hasSubmittedRequest ? 'pending' : 'not_requested'
+        certificateId: hasCertificate ? student.certificate_id : null,
+        certificateGeneratedAt: student.certificate_generated_at,
+        status: request?.status || 'not_requested',
+        statusChangedAt: request?.statusChangedAt || null,
+        amendedAt: request?.amendedAt || null,
+        canAmend: !!request && EDITABLE_STATES.includes(request.status),
+        rejectionReason: request?.rejectionReason || null,
+        history
       }
     });
 
@@ -228,4 +409,265 @@ router.get('/request-status/:phoneNumber', async (req, res) => {
   }
 });
 
+// Start a background job generating certificates for every student matching a filter (admin only).
+// Body: { filter: { eligible, course, company, requestStatus, certificate, search, studentIds }, concurrency }
+router.post('/generate-batch', authenticate, requireAdmin, validate({
+  body: {
+    filter: z.object(STUDENT_FILTER_FIELDS).strict().refine(filter => Object.values(filter).some(value => value !== undefined), {
+      message: 'Provide a filter, e.g. { "eligible": true, "requestStatus": "approved" }'
+    }),
+    concurrency: integer('Concurrency', { min: 1, max: CertificateBatchJobs.maxConcurrency })
+      .default(CertificateBatchJobs.defaultConcurrency)
+  }
+}), async (req, res) => {
+  try {
+    const { filter, concurrency } = req.body;
+
+    console.log('🎓 Batch certificate generation request:', filter);
+
+    const { filters, errors: filterErrors } = await parseStudentFilters(filter);
+    if (filterErrors) {
+      return res.status(400).json(validationError(filterErrors.map(({ field, message }) => ({
+        location: 'body',
+        field: `filter.${field}`,
+        message
+      }))));
+    }
+
+    const { job, status, error } = await CertificateBatchJobs.start({
+      filters,
+      concurrency,
+      createdBy: req.auth.userId
+    });
+
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Batch job started for ${job.total} students`,
+      jobId: job.id,
+      job
+    });
+
+  } catch (error) {
+    console.error('❌ Batch certificate generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start batch generation',
+      details: error.message
+    });
+  }
+});
+
+// List batch generation jobs, newest first (admin only)
+router.get('/jobs', authenticate, requireAdmin, validate({ query: {} }), (req, res) => {
+  const jobs = CertificateBatchJobs.list();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    jobs
+  });
+});
+
+// Progress and per-student report of a batch generation job (admin only)
+router.get('/jobs/:jobId', authenticate, requireAdmin, validate({ params: JOB_ID_PARAMS, query: {} }), (req, res) => {
+  const job = CertificateBatchJobs.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: 'No batch job exists with this ID - jobs are kept in memory until the server restarts'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    job
+  });
+});
+
+// Download a ZIP of generated certificates matching a filter, with a manifest.csv (admin only).
+// Query: course, company, studentIds (comma separated), generatedFrom/generatedTo (YYYY-MM-DD) and the other list filters.
+router.get('/export', authenticate, requireAdmin, validate({ query: STUDENT_FILTER_FIELDS }), async (req, res) => {
+  try {
+    console.log('📦 Certificate export request:', req.query);
+
+    const { filters, errors: filterErrors } = await parseStudentFilters(req.query);
+    if (filterErrors) {
+      return res.status(400).json(validationError(filterErrors.map(error => ({ location: 'query', ...error }))));
+    }
+
+    const certificates = await CertificateExport.findCertificates(filters);
+
+    if (certificates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No certificates found',
+        message: 'No generated certificates match this filter'
+      });
+    }
+
+    if (certificates.length > CertificateExport.maxSize) {
+      return res.status(400).json({
+        success: false,
+        error: 'Export too large',
+        message: `An export can contain at most ${CertificateExport.maxSize} certificates - narrow the filter`
+      });
+    }
+
+    let aborted = false;
+    req.on('close', () => {
+      aborted = !res.writableFinished;
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="Certificates_${new Date().toISOString().slice(0, 10)}.zip"`);
+
+    const result = await CertificateExport.writeZip(certificates, res, { isAborted: () => aborted });
+
+    console.log(result.aborted
+      ? '⚠️ Certificate export aborted by client'
+      : `✅ Exported ${result.count} certificates (${result.missing} missing)`);
+
+  } catch (error) {
+    console.error('❌ Certificate export error:', error);
+
+    // Once the ZIP has started streaming the status can no longer change, so just cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export certificates',
+      details: error.message
+    });
+  }
+});
+
+// Revoke a student's current certificate (admin only). Body: { reason }
+// The certificate then verifies as revoked; reissue it to give the student a valid one.
+router.post('/revoke/:studentId', authenticate, requireAdmin, validate({
+  params: STUDENT_ID_PARAMS,
+  body: { reason: REASON }
+}), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { reason } = req.body;
+
+    console.log(`🚫 Certificate revocation request for student ID: ${studentId}`);
+
+    const { version, status, error } = await CertificateVersions.revoke(studentId, {
+      reason,
+      revokedBy: req.auth.userId
+    });
+
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    console.log(`🚫 Certificate ${version.certificateId} revoked`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate revoked',
+      data: version
+    });
+
+  } catch (error) {
+    console.error('❌ Certificate revocation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke certificate',
+      details: error.message
+    });
+  }
+});
+
+// Reissue a student's certificate after corrections (admin only). Body: { reason } (optional)
+// Generates a new version under a new certificate ID; earlier versions are kept as superseded or revoked.
+router.post('/reissue/:studentId', authenticate, requireAdmin, validate({
+  params: STUDENT_ID_PARAMS,
+  body: { reason: OPTIONAL_REASON }
+}), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { reason } = req.body;
+
+    console.log(`🔁 Certificate reissue request for student ID: ${studentId}`);
+
+    const result = await certificateGenerator.reissueCertificate(studentId, {
+      reason,
+      actor: { role: req.auth.role, id: req.auth.userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate reissued',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Certificate reissue error:', error);
+
+    if (error.code === 'CERTIFICATE_NOT_FOUND') {
+      return res.status(409).json({
+        success: false,
+        error: 'No certificate issued',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'CERTIFICATE_CHANGED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Certificate changed',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_INTERNSHIP') {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid internship details',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reissue certificate',
+      details: error.message
+    });
+  }
+});
+
+// Version history of a student's certificate, newest first (admin only)
+router.get('/versions/:studentId', authenticate, requireAdmin, validate({ params: STUDENT_ID_PARAMS }), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const versions = await CertificateVersions.list(studentId);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+
+  } catch (error) {
+    console.error('❌ Certificate versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load certificate versions',
+      details: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from 'express';
+import DevSmsInbox from '../services/devSmsInbox.js';
+import { validate, phoneNumber } from '../middleware/validate.js';
+
+// Development-only routes - only mounted when DEV_MODE is enabled
+const router = express.Router();
+
+// List SMS captured by the fake inbox (optionally for one phone number)
+router.get('/sms-inbox', validate({ query: { phoneNumber: phoneNumber().optional() } }), (req, res) => {
+  const messages = DevSmsInbox.list(req.query.phoneNumber || null);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    messages
+  });
+});
+
+// Empty the fake inbox
+router.delete('/sms-inbox', validate({ query: {} }), (req, res) => {
+  DevSmsInbox.clear();
+
+  res.status(200).json({
+    success: true,
+    message: 'Fake SMS inbox cleared'
+  });
+});
+
+export default router;
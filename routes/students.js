@@ -0,0 +1,849 @@
+import express from 'express';
+import { parse as parseCsv } from 'csv-parse/sync';
+import supabase from '../supabaseClient.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import TokenService from '../services/tokenService.js';
+import { normalizePhoneNumber, INVALID_PHONE_MESSAGE } from '../services/phoneNumbers.js';
+import Catalog from '../services/catalog.js';
+import { parseStudentFilters, applyStudentFilters, STUDENT_FILTER_FIELDS } from '../services/studentFilters.js';
+import { validate, validationError, z, field, checkField, integer, positiveInt, text, boolean, oneOf, phoneNumber, email } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Student management is admin only
+router.use(authenticate, requireAdmin);
+
+// Student columns returned by the API
+const STUDENT_COLUMN_LIST = [
+  'student_id',
+  'name',
+  'phone_number',
+  'email',
+  'eligible',
+  'preferred_name',
+  'internship_start_date',
+  'internship_end_date',
+  'internship_duration',
+  'course_id',
+  'company_id',
+  'certificate_request_status',
+  'certificate_id',
+  'certificate_generated_at',
+  'certificate_checksum',
+  'certificate_revoked_at',
+  'certificate_revocation_reason',
+  'deleted',
+  'deleted_at',
+  'created_at'
+];
+const STUDENT_COLUMNS = STUDENT_COLUMN_LIST.join(', ');
+
+// Extra fields the list endpoint can project: course and company names
+const STUDENT_RELATION_FIELDS = {
+  course: 'courses(course_name)',
+  company: 'companies(company_name)'
+};
+
+// Sortable list columns; all are non-null so they can anchor a cursor
+const STUDENT_SORT_FIELDS = ['student_id', 'name', 'created_at'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Fields an admin may set when creating or updating a student
+const STUDENT_FIELDS = {
+  name: text('Name', { min: 2, max: 100 }),
+  phone_number: phoneNumber(),
+  email: email().nullable(),
+  eligible: boolean('Eligible status'),
+  preferred_name: text('Preferred name', { min: 2, max: 100 }).nullable()
+};
+
+const REQUIRED_ON_CREATE = ['name', 'phone_number'];
+
+const STUDENT_ID_PARAMS = { studentId: positiveInt('Student ID') };
+
+const createStudentSchema = validate({
+  body: Object.fromEntries(Object.entries(STUDENT_FIELDS).map(([name, schema]) => (
+    [name, REQUIRED_ON_CREATE.includes(name) ? schema : schema.optional()]
+  )))
+});
+
+const updateStudentSchema = validate({
+  params: STUDENT_ID_PARAMS,
+  body: Object.fromEntries(Object.entries(STUDENT_FIELDS).map(([name, schema]) => [name, schema.optional()]))
+});
+
+const studentIdSchema = validate({ params: STUDENT_ID_PARAMS });
+
+// The fields of a validated body that were given
+function definedFields(body) {
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined));
+}
+
+// Look for another admin or student already using a phone number or email.
+// Returns null, or a 409 response body describing the conflict.
+async function findConflict({ phone_number, email }, excludeStudentId = null) {
+  if (phone_number) {
+    const { data: admins, error: adminError } = await supabase
+      .from('admin')
+      .select('admin_id')
+      .eq('phone_number', phone_number)
+      .limit(1);
+
+    if (adminError) {
+      throw new Error(`Failed to check admin phone numbers: ${adminError.message}`);
+    }
+
+    if (admins.length > 0) {
+      return {
+        success: false,
+        error: 'Duplicate phone number',
+        code: 'DUPLICATE_PHONE',
+        message: 'This phone number belongs to an admin account'
+      };
+    }
+
+    let studentQuery = supabase
+      .from('students')
+      .select('student_id, deleted')
+      .eq('phone_number', phone_number)
+      .order('deleted', { ascending: true });
+
+    if (excludeStudentId) {
+      studentQuery = studentQuery.neq('student_id', excludeStudentId);
+    }
+
+    const { data: students, error: studentError } = await studentQuery;
+
+    if (studentError) {
+      throw new Error(`Failed to check student phone numbers: ${studentError.message}`);
+    }
+
+    const active = students.find(student => !student.deleted);
+    if (active) {
+      return {
+        success: false,
+        error: 'Duplicate phone number',
+        code: 'DUPLICATE_PHONE',
+        message: 'Another student is already registered with this phone number',
+        studentId: active.student_id
+      };
+    }
+
+    const deleted = students.find(student => student.deleted);
+    if (deleted) {
+      return {
+        success: false,
+        error: 'Duplicate phone number',
+        code: 'DUPLICATE_PHONE_DELETED',
+        message: 'A deleted student has this phone number - restore that student instead of creating a new one',
+        studentId: deleted.student_id
+      };
+    }
+  }
+
+  if (email) {
+    let emailQuery = supabase
+      .from('students')
+      .select('student_id')
+      .ilike('email', email.replace(/[%_\\]/g, '\\$&'))
+      .eq('deleted', false)
+      .limit(1);
+
+    if (excludeStudentId) {
+      emailQuery = emailQuery.neq('student_id', excludeStudentId);
+    }
+
+    const { data: students, error } = await emailQuery;
+
+    if (error) {
+      throw new Error(`Failed to check student emails: ${error.message}`);
+    }
+
+    if (students.length > 0) {
+      return {
+        success: false,
+        error: 'Duplicate email',
+        code: 'DUPLICATE_EMAIL',
+        message: 'Another student is already registered with this email address',
+        studentId: students[0].student_id
+      };
+    }
+  }
+
+  return null;
+}
+
+// Fetch a student (deleted or not) by ID, or null
+async function findStudent(studentId) {
+  const { data: student, error } = await supabase
+    .from('students')
+    .select(STUDENT_COLUMNS)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch student: ${error.message}`);
+  }
+
+  return student;
+}
+
+function studentNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Student not found',
+    message: 'No student exists with this ID'
+  });
+}
+
+// Cursors are opaque to clients: the sort value and student ID of the last row returned
+function encodeCursor(student, sort) {
+  return Buffer.from(JSON.stringify([student[sort], student.student_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, studentId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(studentId) && value !== null && value !== undefined ? { value, studentId } : null;
+  } catch {
+    return null;
+  }
+}
+
+// List params: paging, sorting and the fields to return, plus the shared student filters
+const listStudentsSchema = validate({
+  query: z.object({
+    ...STUDENT_FILTER_FIELDS,
+    limit: integer('limit', { min: 1, max: MAX_PAGE_SIZE }).default(DEFAULT_PAGE_SIZE),
+    offset: integer('offset', { min: 0 }).optional(),
+    cursor: field('cursor', (value) => {
+      const cursor = decodeCursor(String(value));
+      return cursor ? { value: cursor } : { error: 'cursor is invalid' };
+    }).optional(),
+    sort: oneOf('sort', STUDENT_SORT_FIELDS).default('student_id'),
+    order: oneOf('order', ['asc', 'desc']).default('asc'),
+    fields: field('fields', (value) => {
+      const fields = String(value).split(',').map(name => name.trim()).filter(Boolean);
+      const unknownFields = fields.filter(name => !STUDENT_COLUMN_LIST.includes(name) && !STUDENT_RELATION_FIELDS[name]);
+      return unknownFields.length > 0 ? { error: `Unknown fields: ${unknownFields.join(', ')}` } : { value: fields };
+    }).optional()
+  }).strict().refine(query => query.offset === undefined || query.cursor === undefined, {
+    message: 'Use either offset or cursor pagination, not both'
+  })
+});
+
+// Columns to select for the list: the requested fields, plus the ID and sort column
+// so the next cursor can be built
+function listColumns({ fields = [...STUDENT_COLUMN_LIST, 'course', 'company'], sort }) {
+  return [...new Set(['student_id', sort, ...fields])]
+    .map(name => STUDENT_RELATION_FIELDS[name] || name)
+    .join(', ');
+}
+
+// List students with filtering, search, sorting and offset or cursor pagination.
+// PDFs are never listed; download them with /v1/certificates/download/:studentId.
+router.get('/', listStudentsSchema, async (req, res) => {
+  try {
+    const { filters, errors: filterErrors } = await parseStudentFilters(req.query);
+    if (filterErrors) {
+      return res.status(400).json(validationError(filterErrors.map(error => ({ location: 'query', ...error }))));
+    }
+
+    const { limit, offset = 0, cursor = null, sort, order } = req.query;
+    const columns = listColumns(req.query);
+    const ascending = order === 'asc';
+
+    let query = applyStudentFilters(
+      // The total only makes sense for offset paging; a cursor query counts the remaining rows
+      supabase.from('students').select(columns, cursor ? undefined : { count: 'exact' }),
+      filters
+    );
+
+    if (cursor) {
+      const operator = ascending ? 'gt' : 'lt';
+      const value = `"${String(cursor.value).replace(/["\\]/g, '\\$&')}"`;
+      query = sort === 'student_id'
+        ? query[operator]('student_id', cursor.studentId)
+        : query.or(`${sort}.${operator}.${value},and(${sort}.eq.${value},student_id.${operator}.${cursor.studentId})`);
+    }
+
+    query = query.order(sort, { ascending });
+    if (sort !== 'student_id') {
+      query = query.order('student_id', { ascending });
+    }
+
+    // Fetch one extra row to know whether there is another page
+    const start = cursor ? 0 : offset;
+    const { data: rows, count: total, error } = await query.range(start, start + limit);
+
+    if (error) {
+      return res.status(500).json({
+        error: 'Failed to fetch students',
+        details: error.message
+      });
+    }
+
+    const hasMore = rows.length > limit;
+    const students = rows.slice(0, limit);
+
+    res.status(200).json({
+      status: 'success',
+      count: students.length,
+      pagination: {
+        limit,
+        offset: cursor ? null : offset,
+        total: cursor ? null : total,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(students[students.length - 1], sort) : null
+      },
+      students
+    });
+
+  } catch (error) {
+    console.error('Students fetch error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Register a new student
+router.post('/', createStudentSchema, async (req, res) => {
+  try {
+    console.log('🧑‍🎓 Student registration request:', req.body);
+
+    const student = definedFields(req.body);
+
+    const conflict = await findConflict(student);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    const { data: createdStudent, error } = await supabase
+      .from('students')
+      .insert({ eligible: false, ...student, deleted: false })
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating student:', error);
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        error: 'Failed to create student',
+        details: error.message
+      });
+    }
+
+    console.log(`✅ Student registered: ${createdStudent.name} (${createdStudent.student_id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Student created successfully',
+      data: createdStudent
+    });
+
+  } catch (error) {
+    console.error('❌ Student creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create student',
+      details: error.message
+    });
+  }
+});
+
+// CSV columns accepted by the bulk import (header names are case-insensitive)
+const IMPORT_COLUMNS = {
+  name: 'name',
+  phone: 'phone_number',
+  phone_number: 'phone_number',
+  email: 'email',
+  course: 'course_name',
+  course_name: 'course_name',
+  company: 'company_name',
+  company_name: 'company_name'
+};
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Supabase `in` filters go in the URL, so look values up in chunks
+const LOOKUP_CHUNK_SIZE = 200;
+
+async function findExisting(table, column, values, columns) {
+  const rows = [];
+
+  for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(i, i + LOOKUP_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to check existing ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+  }
+
+  return rows;
+}
+
+// Validate parsed CSV records, returning { students, errors }.
+// Each student keeps its CSV row number (header is row 1) for the report.
+async function validateImportRows(records) {
+  const { courses, companies } = await Catalog.loadByName();
+  const errors = [];
+  const students = [];
+  const seenPhones = new Map();
+  const seenEmails = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const rowErrors = [];
+    const fieldError = (field, message) => rowErrors.push({ row, field, message });
+
+    const nameError = checkField(STUDENT_FIELDS.name, record.name || '');
+    if (nameError) {
+      fieldError('name', nameError);
+    }
+
+    const phoneNumber = normalizePhoneNumber(record.phone_number || '');
+    if (!record.phone_number) {
+      fieldError('phone', 'Phone number is required');
+    } else if (!phoneNumber) {
+      fieldError('phone', INVALID_PHONE_MESSAGE);
+    } else if (seenPhones.has(phoneNumber)) {
+      fieldError('phone', `Duplicate phone number (same as row ${seenPhones.get(phoneNumber)})`);
+    } else {
+      seenPhones.set(phoneNumber, row);
+    }
+
+    const email = record.email ? record.email.toLowerCase() : null;
+    if (email) {
+      const emailError = checkField(STUDENT_FIELDS.email, email);
+      if (emailError) {
+        fieldError('email', emailError);
+      } else if (seenEmails.has(email)) {
+        fieldError('email', `Duplicate email (same as row ${seenEmails.get(email)})`);
+      } else {
+        seenEmails.set(email, row);
+      }
+    }
+
+    const course = record.course_name ? courses.get(record.course_name) : null;
+    if (record.course_name && !course) {
+      fieldError('course', `Unknown course "${record.course_name}"`);
+    }
+
+    const company = record.company_name ? companies.get(record.company_name) : null;
+    if (record.company_name && !company) {
+      fieldError('company', `Unknown company "${record.company_name}"`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    students.push({
+      row,
+      student: {
+        name: record.name,
+        phone_number: phoneNumber,
+        email,
+        course_id: course?.course_id ?? null,
+        company_id: company?.company_id ?? null,
+        eligible: false,
+        deleted: false
+      }
+    });
+  });
+
+  // Duplicates against students (active or deleted) and admins already in the database
+  const phones = students.map(({ student }) => student.phone_number);
+  const emails = students.map(({ student }) => student.email).filter(Boolean);
+
+  const [existingStudents, existingAdmins, existingEmails] = await Promise.all([
+    findExisting('students', 'phone_number', phones, 'student_id, phone_number, deleted'),
+    findExisting('admin', 'phone_number', phones, 'admin_id, phone_number'),
+    findExisting('students', 'email', emails, 'student_id, email, deleted')
+  ]);
+
+  const takenPhones = new Map();
+  existingAdmins.forEach(admin => takenPhones.set(admin.phone_number, 'an admin account'));
+  existingStudents.forEach(student => takenPhones.set(
+    student.phone_number,
+    `${student.deleted ? 'deleted ' : ''}student ${student.student_id}`
+  ));
+  const takenEmails = new Map(existingEmails.filter(student => !student.deleted).map(student => [student.email.toLowerCase(), student.student_id]));
+
+  const validStudents = students.filter(({ row, student }) => {
+    const rowErrors = [];
+
+    if (takenPhones.has(student.phone_number)) {
+      rowErrors.push({ row, field: 'phone', message: `Phone number already registered to ${takenPhones.get(student.phone_number)}` });
+    }
+    if (student.email && takenEmails.has(student.email)) {
+      rowErrors.push({ row, field: 'email', message: `Email already registered to student ${takenEmails.get(student.email)}` });
+    }
+
+    errors.push(...rowErrors);
+    return rowErrors.length === 0;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { students: validStudents, errors };
+}
+
+// Bulk import students from CSV (name, phone, email, course, company).
+// ?mode=dry-run (default) only validates; ?mode=commit inserts every row or none.
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), validate({
+  query: { mode: oneOf('Mode', ['dry-run', 'commit']).default('dry-run') }
+}), async (req, res) => {
+  try {
+    const { mode } = req.query;
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    console.log(`📥 Student import request (${mode})`);
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV is required',
+        message: 'Send the CSV as a text/csv body, or as the "csv" field of a JSON body'
+      });
+    }
+
+    let records;
+    try {
+      records = parseCsv(csv, {
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        columns: (header) => header.map(column => IMPORT_COLUMNS[column.trim().toLowerCase()] || column)
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV',
+        message: error.message
+      });
+    }
+
+    const columns = Object.keys(records[0] || {});
+    const unknownColumns = columns.filter(column => !Object.values(IMPORT_COLUMNS).includes(column));
+    const missingColumns = ['name', 'phone_number'].filter(column => !columns.includes(column));
+
+    if (records.length === 0 || unknownColumns.length > 0 || missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV columns',
+        message: `Expected a header row with name, phone and optionally email, course, company${unknownColumns.length ? ` (unknown: ${unknownColumns.join(', ')})` : ''}`
+      });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many rows',
+        message: `A single import can contain at most ${MAX_IMPORT_ROWS} students`
+      });
+    }
+
+    const { students, errors } = await validateImportRows(records);
+    const summary = {
+      totalRows: records.length,
+      validRows: students.length,
+      invalidRows: new Set(errors.map(error => error.row)).size
+    };
+
+    if (mode === 'dry-run' || errors.length > 0) {
+      return res.status(mode === 'commit' ? 422 : 200).json({
+        success: errors.length === 0,
+        mode,
+        message: errors.length === 0
+          ? 'All rows are valid'
+          : `${summary.invalidRows} row(s) have errors${mode === 'commit' ? ' - nothing was imported' : ''}`,
+        summary,
+        errors,
+        students: students.map(({ row, student }) => ({ row, ...student }))
+      });
+    }
+
+    // A single multi-row insert is one statement, so either every student is created or none are
+    const { data: createdStudents, error: insertError } = await supabase
+      .from('students')
+      .insert(students.map(({ student }) => student))
+      .select(STUDENT_COLUMNS);
+
+    if (insertError) {
+      console.error('❌ Error importing students:', insertError);
+      return res.status(insertError.code === '23505' ? 409 : 500).json({
+        success: false,
+        error: 'Failed to import students',
+        details: insertError.message
+      });
+    }
+
+    console.log(`✅ Imported ${createdStudents.length} students`);
+
+    res.status(201).json({
+      success: true,
+      mode,
+      message: `Imported ${createdStudents.length} students`,
+      summary,
+      errors: [],
+      students: createdStudents
+    });
+
+  } catch (error) {
+    console.error('❌ Student import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import students',
+      details: error.message
+    });
+  }
+});
+
+// Get a single student (including soft-deleted ones)
+router.get('/:studentId', studentIdSchema, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await findStudent(studentId);
+    if (!student) {
+      return studentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: student
+    });
+
+  } catch (error) {
+    console.error('❌ Student fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student',
+      details: error.message
+    });
+  }
+});
+
+// Update a student
+router.patch('/:studentId', updateStudentSchema, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const updates = definedFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json(validationError([{
+        location: 'body',
+        field: null,
+        message: `Provide at least one of: ${Object.keys(STUDENT_FIELDS).join(', ')}`
+      }]));
+    }
+
+    const student = await findStudent(studentId);
+    if (!student || student.deleted) {
+      return studentNotFound(res);
+    }
+
+    const conflict = await findConflict(updates, studentId);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    const { data: updatedStudent, error } = await supabase
+      .from('students')
+      .update(updates)
+      .eq('student_id', studentId)
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ Error updating student:', error);
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        error: 'Failed to update student',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Student updated successfully',
+      data: updatedStudent
+    });
+
+  } catch (error) {
+    console.error('❌ Student update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update student',
+      details: error.message
+    });
+  }
+});
+
+// Soft delete a student (and end their sessions)
+router.delete('/:studentId', studentIdSchema, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await findStudent(studentId);
+    if (!student || student.deleted) {
+      return studentNotFound(res);
+    }
+
+    const { data: deletedStudent, error } = await supabase
+      .from('students')
+      .update({ deleted: true, deleted_at: new Date().toISOString() })
+      .eq('student_id', studentId)
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ Error deleting student:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete student',
+        details: error.message
+      });
+    }
+
+    await TokenService.revokeAllForUser(studentId, 'student');
+
+    console.log(`🗑️ Student soft deleted: ${deletedStudent.name} (${studentId})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Student deleted successfully',
+      data: deletedStudent
+    });
+
+  } catch (error) {
+    console.error('❌ Student deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete student',
+      details: error.message
+    });
+  }
+});
+
+// Restore a soft-deleted student
+router.post('/:studentId/restore', studentIdSchema, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await findStudent(studentId);
+    if (!student) {
+      return studentNotFound(res);
+    }
+
+    if (!student.deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Student is not deleted',
+        message: 'Only deleted students can be restored'
+      });
+    }
+
+    // The phone number may have been given to a new student in the meantime
+    const conflict = await findConflict({ phone_number: student.phone_number, email: student.email }, studentId);
+    if (conflict && conflict.code !== 'DUPLICATE_PHONE_DELETED') {
+      return res.status(409).json(conflict);
+    }
+
+    const { data: restoredStudent, error } = await supabase
+      .from('students')
+      .update({ deleted: false, deleted_at: null })
+      .eq('student_id', studentId)
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ Error restoring student:', error);
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        error: 'Failed to restore student',
+        details: error.message
+      });
+    }
+
+    console.log(`♻️ Student restored: ${restoredStudent.name} (${studentId})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Student restored successfully',
+      data: restoredStudent
+    });
+
+  } catch (error) {
+    console.error('❌ Student restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore student',
+      details: error.message
+    });
+  }
+});
+
+// Update student eligibility status
+router.put('/:studentId/eligibility', validate({
+  params: STUDENT_ID_PARAMS,
+  body: { eligible: STUDENT_FIELDS.eligible }
+}), async (req, res) => {
+  try {
+    const { eligible } = req.body;
+    const { studentId } = req.params;
+
+    console.log(`🎯 Eligibility update request for student ID: ${studentId}, eligible: ${eligible}`);
+
+    // Update Supabase
+    const { data: updatedStudent, error: updateError } = await supabase
+      .from('students')
+      .update({ eligible })
+      .eq('student_id', studentId)
+      .eq('deleted', false)
+      .select('student_id, eligible')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('❌ Error updating student eligibility:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update student eligibility',
+        details: updateError.message
+      });
+    }
+
+    if (!updatedStudent) {
+      return studentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Student eligibility updated successfully',
+      data: {
+        studentId: updatedStudent.student_id,
+        eligible: updatedStudent.eligible
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Eligibility update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update student eligibility',
+      details: error.message
+    });
+  }
+});
+
+export default router;
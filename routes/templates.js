@@ -0,0 +1,574 @@
+import express from 'express';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import CertificateTemplates from '../services/certificateTemplates.js';
+import CertificateGenerator from '../services/certificateGenerator.js';
+import { validateLayout, FONT_NAMES } from '../services/templateLayout.js';
+import { parseFont } from '../services/fontCoverage.js';
+import { validate, validationError, z, field, positiveInt, text, boolean, isoDate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Template management is admin only
+router.use(authenticate, requireAdmin);
+
+const certificateGenerator = new CertificateGenerator();
+
+// Template PDFs are uploaded as the raw request body
+const pdfBody = express.raw({ type: 'application/pdf', limit: CertificateTemplates.maxBytes });
+
+// Font files are uploaded the same way
+const fontBody = express.raw({
+  type: ['font/ttf', 'font/otf', 'font/sfnt', 'application/font-sfnt', 'application/octet-stream'],
+  limit: CertificateTemplates.maxFontBytes
+});
+
+// Data rendered by the preview endpoint unless the request overrides it
+const SAMPLE_CERTIFICATE = {
+  preferred_name: 'Aarav Sharma',
+  course_name: 'Full Stack Web Development',
+  company_name: 'Example Technologies Pvt Ltd',
+  internship_start_date: '2025-01-06',
+  internship_end_date: '2025-04-06',
+  certificate_id: 'PREVIEW1'
+};
+
+// Sample fields the preview endpoint accepts: the dates as YYYY-MM-DD, the rest as text
+const SAMPLE_FIELDS = Object.fromEntries(Object.keys(SAMPLE_CERTIFICATE).map(name => [
+  name,
+  (name.endsWith('_date') ? isoDate(name) : text(name, { max: 200 })).optional()
+]));
+
+const TEMPLATE_NAME = text('Template name', { min: 2, max: 100 });
+
+const TEMPLATE_ID_PARAMS = { templateId: positiveInt('Template ID') };
+
+const templateIdSchema = validate({ params: TEMPLATE_ID_PARAMS });
+
+// Load the :templateId template, or send a 404 and return null
+async function loadTemplate(req, res) {
+  const template = await CertificateTemplates.findById(req.params.templateId);
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: 'Template not found',
+      message: 'No template exists with this ID'
+    });
+    return null;
+  }
+
+  return template;
+}
+
+function sendError(res, message, error) {
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: error.message
+  });
+}
+
+// List templates
+router.get('/', validate({ query: {} }), async (req, res) => {
+  try {
+    const templates = await CertificateTemplates.list();
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates: templates.map(template => CertificateTemplates.toTemplate(template))
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to list templates', error);
+  }
+});
+
+// Upload a new template: PDF body, ?name=...&default=true
+router.post('/', pdfBody, validate({
+  query: { name: TEMPLATE_NAME, default: boolean('default').default(false) }
+}), async (req, res) => {
+  try {
+    const { name } = req.query;
+
+    console.log(`🖼️ Template upload: ${name}`);
+
+    const page = await CertificateTemplates.inspectPdf(req.body);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template PDF',
+        message: page.error
+      });
+    }
+
+    const { template, conflict } = await CertificateTemplates.create({
+      name,
+      bytes: req.body,
+      width: page.width,
+      height: page.height,
+      isDefault: req.query.default
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate template name',
+        message: 'Another template already has this name'
+      });
+    }
+
+    console.log(`✅ Template created: ${template.name} (${template.template_id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template uploaded - set its layout with PUT /v1/templates/:templateId/layout',
+      template: CertificateTemplates.toTemplate(template)
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to upload template', error);
+  }
+});
+
+// Assign a template to a course or company: { templateId } (null falls back to the default template)
+for (const kind of ['course', 'company']) {
+  router.put(`/${kind === 'course' ? 'courses' : 'companies'}/:id`, validate({
+    params: { id: positiveInt(`${kind === 'course' ? 'Course' : 'Company'} ID`) },
+    body: { templateId: positiveInt('Template ID').nullable() }
+  }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { templateId } = req.body;
+
+      if (templateId !== null && !await CertificateTemplates.findById(templateId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+          message: 'No template exists with this ID'
+        });
+      }
+
+      const assigned = await CertificateTemplates.assign(kind, id, templateId);
+      if (!assigned) {
+        return res.status(404).json({
+          success: false,
+          error: `${kind === 'course' ? 'Course' : 'Company'} not found`
+        });
+      }
+
+      console.log(`✅ Template ${templateId} assigned to ${kind} ${id}`);
+
+      res.status(200).json({
+        success: true,
+        message: templateId ? 'Template assigned' : 'Template cleared - the default template will be used',
+        [kind]: assigned
+      });
+
+    } catch (error) {
+      sendError(res, `Failed to assign template to ${kind}`, error);
+    }
+  });
+}
+
+// Get a template with its layout and the courses/companies using it
+router.get('/:templateId', templateIdSchema, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      template: {
+        ...CertificateTemplates.toTemplate(template),
+        fonts: (await CertificateTemplates.listFonts(template.template_id)).map(font => CertificateTemplates.toFont(font)),
+        usedBy: await CertificateTemplates.findAssignments(template.template_id)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to fetch template', error);
+  }
+});
+
+// Rename a template or make it the default: { name, isDefault: true }
+router.patch('/:templateId', validate({
+  params: TEMPLATE_ID_PARAMS,
+  body: { name: TEMPLATE_NAME.optional(), isDefault: boolean('isDefault').optional() }
+}), async (req, res) => {
+  try {
+    const { name, isDefault } = req.body;
+    if (name === undefined && isDefault === undefined) {
+      return res.status(400).json(validationError([{
+        location: 'body',
+        field: null,
+        message: 'Provide at least one of: name, isDefault'
+      }]));
+    }
+
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const updates = {};
+    if (name !== undefined) {
+      updates.name = name;
+    }
+    if (isDefault !== undefined) {
+      updates.is_default = isDefault;
+    }
+
+    const updated = await CertificateTemplates.update(template.template_id, updates);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated',
+      template: CertificateTemplates.toTemplate(updated)
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate template name',
+        message: 'Another template already has this name'
+      });
+    }
+    sendError(res, 'Failed to update template', error);
+  }
+});
+
+// Replace a template's PDF (raw application/pdf body)
+router.put('/:templateId/file', pdfBody, templateIdSchema, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const page = await CertificateTemplates.inspectPdf(req.body);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template PDF',
+        message: page.error
+      });
+    }
+
+    const { template: updated, layoutReset } = await CertificateTemplates.replacePdf(template, {
+      bytes: req.body,
+      width: page.width,
+      height: page.height
+    });
+
+    res.status(200).json({
+      success: true,
+      message: layoutReset
+        ? 'Template PDF replaced - the stored layout no longer fit the page and was reset to the default'
+        : 'Template PDF replaced',
+      template: CertificateTemplates.toTemplate(updated)
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to replace template PDF', error);
+  }
+});
+
+// Download a template's PDF
+router.get('/:templateId/file', templateIdSchema, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const bytes = await CertificateTemplates.loadPdf(template);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Template_${template.template_id}.pdf"`);
+    res.send(bytes);
+
+  } catch (error) {
+    sendError(res, 'Failed to download template PDF', error);
+  }
+});
+
+// Set a template's field layout and QR placement (see services/templateLayout.js), or null for the default
+router.put('/:templateId/layout', validate({
+  params: TEMPLATE_ID_PARAMS,
+  body: { layout: field('Layout', value => ({ value })) }
+}), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    let layout = null;
+    if (req.body.layout !== null) {
+      const validation = validateLayout(req.body.layout, {
+        width: template.page_width,
+        height: template.page_height,
+        fontNames: (await CertificateTemplates.listFonts(template.template_id)).map(font => font.name)
+      });
+      if (validation.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid layout',
+          message: validation.error
+        });
+      }
+      layout = validation.layout;
+    }
+
+    const updated = await CertificateTemplates.update(template.template_id, { layout });
+
+    console.log(`✅ Layout updated for template ${template.template_id}`);
+
+    res.status(200).json({
+      success: true,
+      message: layout ? 'Layout saved' : 'Layout reset to the default',
+      template: CertificateTemplates.toTemplate(updated)
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to update template layout', error);
+  }
+});
+
+// Render a template with sample data: { sample: { preferred_name, ... }, layout } - both optional.
+// A layout in the body is previewed without being saved.
+router.post('/:templateId/preview', validate({
+  params: TEMPLATE_ID_PARAMS,
+  body: {
+    sample: z.object(SAMPLE_FIELDS).strict().default({}),
+    layout: z.unknown().optional()
+  }
+}), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const { layout } = req.body;
+    const sample = Object.fromEntries(Object.entries(req.body.sample).filter(([, value]) => value !== undefined));
+
+    let previewLayout = CertificateTemplates.getLayout(template);
+    if (layout !== undefined) {
+      const validation = validateLayout(layout, {
+        width: template.page_width,
+        height: template.page_height,
+        fontNames: (await CertificateTemplates.listFonts(template.template_id)).map(font => font.name)
+      });
+      if (validation.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid layout',
+          message: validation.error
+        });
+      }
+      previewLayout = validation.layout;
+    }
+
+    const pdfBytes = await certificateGenerator.renderCertificate(
+      { ...SAMPLE_CERTIFICATE, ...sample },
+      {
+        templateBytes: await CertificateTemplates.loadPdf(template),
+        layout: previewLayout,
+        fonts: await CertificateTemplates.loadFonts(template.template_id)
+      }
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="Template_${template.template_id}_Preview.pdf"`);
+    res.send(Buffer.from(pdfBytes));
+
+  } catch (error) {
+    // The sample or layout is the problem, not the server
+    if (error.code === 'UNPRINTABLE_FIELDS') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sample cannot be printed with this layout',
+        code: error.code,
+        message: error.message,
+        fields: error.fields
+      });
+    }
+
+    sendError(res, 'Failed to render template preview', error);
+  }
+});
+
+// List the custom fonts registered for a template
+router.get('/:templateId/fonts', templateIdSchema, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const fonts = await CertificateTemplates.listFonts(template.template_id);
+
+    res.status(200).json({
+      success: true,
+      count: fonts.length,
+      fonts: fonts.map(font => CertificateTemplates.toFont(font))
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to list template fonts', error);
+  }
+});
+
+// Register a TTF/OTF font for a template: font file body, ?name=... (the name layouts use in "font").
+// Uploaded fonts are also the fallbacks for text the chosen font cannot print.
+router.post('/:templateId/fonts', fontBody, validate({
+  params: TEMPLATE_ID_PARAMS,
+  query: {
+    name: field('Font name', (value) => {
+      if (typeof value !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9 _-]{1,63}$/.test(value)) {
+        return { error: 'Font name must be 2-64 letters, digits, spaces, dashes or underscores' };
+      }
+      if (FONT_NAMES.includes(value)) {
+        return { error: 'Font name cannot be the name of a built-in PDF font' };
+      }
+      return { value };
+    })
+  }
+}), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const { name } = req.query;
+
+    console.log(`🔤 Font upload for template ${template.template_id}: ${name}`);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Font file is required',
+        message: 'Upload the font as a font/ttf, font/otf or application/octet-stream request body'
+      });
+    }
+
+    const { font: parsed, error: fontError } = parseFont(req.body);
+    if (fontError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid font file',
+        message: fontError
+      });
+    }
+
+    const { font, conflict } = await CertificateTemplates.addFont(template.template_id, {
+      name,
+      bytes: req.body,
+      postscriptName: parsed.postscriptName,
+      extension: req.body.subarray(0, 4).toString('latin1') === 'OTTO' ? 'otf' : 'ttf'
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate font name',
+        message: 'This template already has a font with this name'
+      });
+    }
+
+    console.log(`✅ Font registered: ${name} (${parsed.postscriptName})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Font registered',
+      font: CertificateTemplates.toFont(font)
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to register font', error);
+  }
+});
+
+// Remove a font the template's layout does not use
+router.delete('/:templateId/fonts/:fontId', validate({
+  params: { ...TEMPLATE_ID_PARAMS, fontId: positiveInt('Font ID') }
+}), async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const font = await CertificateTemplates.findFont(template.template_id, req.params.fontId);
+    if (!font) {
+      return res.status(404).json({
+        success: false,
+        error: 'Font not found',
+        message: 'This template has no font with this ID'
+      });
+    }
+
+    const usedByFields = Object.entries(template.layout?.fields || {})
+      .filter(([, placement]) => placement.font === font.name)
+      .map(([field]) => field);
+    if (usedByFields.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Font in use',
+        message: `The layout uses this font for: ${usedByFields.join(', ')}`
+      });
+    }
+
+    await CertificateTemplates.removeFont(font);
+
+    res.status(200).json({
+      success: true,
+      message: 'Font removed'
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to remove font', error);
+  }
+});
+
+// Delete a template that no course or company uses
+router.delete('/:templateId', templateIdSchema, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) {
+      return;
+    }
+
+    const usedBy = await CertificateTemplates.findAssignments(template.template_id);
+    if (usedBy.courses.length > 0 || usedBy.companies.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Template in use',
+        message: 'Assign these courses and companies another template before deleting this one',
+        usedBy
+      });
+    }
+
+    await CertificateTemplates.remove(template);
+
+    console.log(`🗑️ Template deleted: ${template.name} (${template.template_id})`);
+
+    res.status(200).json({
+      success: true,
+      message: template.is_default
+        ? 'Template deleted - there is no default template now, so the built-in template will be used'
+        : 'Template deleted'
+    });
+
+  } catch (error) {
+    sendError(res, 'Failed to delete template', error);
+  }
+});
+
+export default router;
@@ -0,0 +1,202 @@
+import express from 'express';
+import crypto from 'crypto';
+import supabase from '../supabaseClient.js';
+import CertificateVersions from '../services/certificateVersions.js';
+import { validate, field } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const VERIFY_COLUMNS = `
+  preferred_name,
+  certificate_id,
+  internship_start_date,
+  internship_end_date,
+  certificate_signed,
+  certificate_revoked_at,
+  certificate_revocation_reason,
+  courses(course_name),
+  companies(company_name)
+`;
+
+// Uploaded PDFs are read as the raw request body
+const pdfBody = express.raw({ type: ['application/pdf', 'application/octet-stream'], limit: '10mb' });
+
+// Public verification result for an issued certificate
+function toVerification(student) {
+  const isRevoked = !!student.certificate_revoked_at;
+
+  return {
+    certificateId: student.certificate_id,
+    holderName: student.preferred_name,
+    course: student.courses?.course_name || null,
+    company: student.companies?.company_name || null,
+    internshipStartDate: student.internship_start_date,
+    internshipEndDate: student.internship_end_date,
+    signed: !!student.certificate_signed,
+    status: isRevoked ? 'revoked' : 'valid',
+    isValid: !isRevoked,
+    revokedAt: student.certificate_revoked_at,
+    revocationReason: isRevoked ? student.certificate_revocation_reason : null
+  };
+}
+
+// Public verification result for an earlier version of a certificate (superseded by a reissue or revoked),
+// with the details that were printed on it
+function toVersionVerification(version) {
+  const { details } = version;
+  const isRevoked = version.status === 'revoked';
+
+  return {
+    certificateId: version.certificate_id,
+    holderName: details.preferredName || null,
+    course: details.course || null,
+    company: details.company || null,
+    internshipStartDate: details.internshipStartDate || null,
+    internshipEndDate: details.internshipEndDate || null,
+    signed: !!version.signed,
+    status: version.status,
+    isValid: false,
+    supersededAt: version.superseded_at,
+    revokedAt: version.revoked_at,
+    revocationReason: isRevoked ? version.revocation_reason : null
+  };
+}
+
+// Check an uploaded PDF byte-for-byte against the issued certificates (by SHA-256).
+// Any edit to the file - even one that keeps the text identical - makes it stop matching.
+router.post('/file', pdfBody, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'PDF is required',
+        message: 'Upload the certificate PDF as an application/pdf request body'
+      });
+    }
+
+    const checksum = crypto.createHash('sha256').update(req.body).digest('hex');
+
+    console.log(`🔎 Certificate file verification request (sha256 ${checksum})`);
+
+    const { data: student, error } = await supabase
+      .from('students')
+      .select(VERIFY_COLUMNS)
+      .eq('certificate_checksum', checksum)
+      .eq('deleted', false)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify certificate file',
+        message: error.message
+      });
+    }
+
+    if (!student) {
+      // It may be the file of an earlier, superseded or revoked version
+      const version = await CertificateVersions.findByChecksum(checksum);
+      if (version && version.status !== 'active') {
+        return res.status(200).json({
+          success: true,
+          data: {
+            ...toVersionVerification(version),
+            checksum,
+            fileMatches: true
+          }
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not recognised',
+        message: 'This file does not match any certificate we issued - it may have been modified',
+        checksum
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toVerification(student),
+        checksum,
+        fileMatches: true
+      }
+    });
+
+  } catch (error) {
+    console.error('🔎 Certificate file verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify certificate file',
+      message: error.message
+    });
+  }
+});
+
+// Public certificate verification endpoint (target of the certificate QR code)
+router.get('/:certificateId', validate({
+  params: {
+    certificateId: field('Certificate ID', (value) => {
+      const certificateId = String(value).trim().toUpperCase();
+      return /^[A-Z0-9]{8}$/.test(certificateId)
+        ? { value: certificateId }
+        : { error: 'Certificate ID must be 8 letters or digits' };
+    })
+  }
+}), async (req, res) => {
+  try {
+    const { certificateId } = req.params;
+
+    console.log(`🔎 Certificate verification request for ID: ${certificateId}`);
+
+    // Only certificates that have actually been generated can be verified
+    const { data: student, error } = await supabase
+      .from('students')
+      .select(VERIFY_COLUMNS)
+      .eq('certificate_id', certificateId)
+      .eq('deleted', false)
+      .not('certificate_generated_at', 'is', null)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify certificate',
+        message: error.message
+      });
+    }
+
+    if (!student) {
+      // Earlier versions keep their IDs, so old QR codes report that the certificate was replaced or revoked
+      const version = await CertificateVersions.findByCertificateId(certificateId);
+      if (version && version.status !== 'active') {
+        return res.status(200).json({
+          success: true,
+          data: toVersionVerification(version)
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found',
+        message: 'No certificate has been issued with this ID'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toVerification(student)
+    });
+
+  } catch (error) {
+    console.error('🔎 Certificate verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify certificate',
+      message: error.message
+    });
+  }
+});
+
+export default router;
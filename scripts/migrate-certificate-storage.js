@@ -0,0 +1,111 @@
+import supabase from '../supabaseClient.js';
+import CertificateGenerator from '../services/certificateGenerator.js';
+
+// One-off migration: move certificate PDFs from the students.certificate column into file storage.
+//
+//   node scripts/migrate-certificate-storage.js          # dry run - report what would move
+//   node scripts/migrate-certificate-storage.js --apply  # upload the files and update the rows
+//
+// The PDF bytes are written to FILE_STORAGE (local or supabase) and the row gets the storage key,
+// SHA-256 checksum and generated-at timestamp. The old column is left in place (set to null on
+// migrated rows) until migrations/011_drop_certificate_blob.sql drops it. Rows whose column does
+// not hold a PDF are reported and left untouched.
+
+// PDFs are large, so read only a few rows at a time
+const PAGE_SIZE = 20;
+
+const apply = process.argv.includes('--apply');
+const certificateGenerator = new CertificateGenerator();
+
+// bytea comes back from PostgREST as a "\x..." hex string. Older rows were written from a
+// Uint8Array, which the client serialized as JSON ({"0":37,"1":80,...}) before storing it.
+function decodeLegacyCertificate(value) {
+  let bytes = typeof value === 'string' && value.startsWith('\\x')
+    ? Buffer.from(value.slice(2), 'hex')
+    : Buffer.from(value);
+
+  if (bytes[0] === 0x7b) {
+    const indexed = JSON.parse(bytes.toString('utf8'));
+    bytes = Buffer.from(Object.keys(indexed).sort((a, b) => a - b).map(index => indexed[index]));
+  }
+
+  return bytes.subarray(0, 5).toString('latin1') === '%PDF-' ? bytes : null;
+}
+
+async function fetchPage(afterStudentId) {
+  const { data, error } = await supabase
+    .from('students')
+    .select('student_id, certificate_id, certificate, certificate_generated_at')
+    .not('certificate', 'is', null)
+    .is('certificate_storage_key', null)
+    .gt('student_id', afterStudentId)
+    .order('student_id', { ascending: true })
+    .limit(PAGE_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to read students: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function run() {
+  console.log(`📦 Moving certificate PDFs to ${certificateGenerator.storage.name} storage${apply ? '' : ' - DRY RUN'}`);
+
+  const summary = { moved: 0, invalid: [] };
+
+  for (let lastStudentId = 0; ;) {
+    const students = await fetchPage(lastStudentId);
+    if (students.length === 0) {
+      break;
+    }
+
+    for (const student of students) {
+      lastStudentId = student.student_id;
+
+      const bytes = decodeLegacyCertificate(student.certificate);
+      if (!bytes || !student.certificate_id) {
+        summary.invalid.push(student.student_id);
+        continue;
+      }
+
+      const storageKey = certificateGenerator.getStorageKey(student.student_id, student.certificate_id);
+      console.log(`${apply ? '✏️' : '🔍'} student ${student.student_id}: ${bytes.length} bytes -> ${storageKey}`);
+
+      if (apply) {
+        await certificateGenerator.storage.put(storageKey, bytes, { contentType: 'application/pdf' });
+
+        const { error } = await supabase
+          .from('students')
+          .update({
+            certificate_storage_key: storageKey,
+            certificate_checksum: certificateGenerator.getChecksum(bytes),
+            certificate_generated_at: student.certificate_generated_at || new Date().toISOString(),
+            certificate: null
+          })
+          .eq('student_id', student.student_id);
+
+        if (error) {
+          throw new Error(`Failed to update student ${student.student_id}: ${error.message}`);
+        }
+      }
+
+      summary.moved++;
+    }
+  }
+
+  console.log(`\n📊 ${summary.moved} certificates ${apply ? 'moved' : 'to move'}`);
+
+  for (const studentId of summary.invalid) {
+    console.log(`   ❌ student ${studentId}: certificate column does not contain a PDF (or no certificate ID) - left in place`);
+  }
+
+  if (!apply) {
+    console.log('\nℹ️ Dry run only - re-run with --apply to move the files');
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ Certificate storage migration failed:', error);
+  process.exit(1);
+});
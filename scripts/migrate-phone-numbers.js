@@ -0,0 +1,121 @@
+import supabase from '../supabaseClient.js';
+import { normalizePhoneNumber, DEFAULT_PHONE_COUNTRY } from '../services/phoneNumbers.js';
+
+// One-off migration: rewrite students.phone_number and admin.phone_number to E.164.
+//
+//   node scripts/migrate-phone-numbers.js          # dry run - report what would change
+//   node scripts/migrate-phone-numbers.js --apply  # write the changes
+//
+// Rows whose number cannot be parsed, or that would collide with another row after
+// normalization, are reported and left untouched for manual review.
+
+const TABLES = [
+  { table: 'students', idField: 'student_id' },
+  { table: 'admin', idField: 'admin_id' }
+];
+
+const PAGE_SIZE = 500;
+
+const apply = process.argv.includes('--apply');
+
+async function fetchAllRows(table, idField) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(`${idField}, phone_number`)
+      .order(idField, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+async function migrateTable({ table, idField }) {
+  const rows = await fetchAllRows(table, idField);
+  const summary = { table, total: rows.length, unchanged: 0, updated: 0, invalid: [], conflicts: [] };
+
+  // Every row's number after normalization, to spot rows that would collide
+  const owners = new Map();
+  const changes = [];
+
+  for (const row of rows) {
+    if (!row.phone_number) {
+      summary.unchanged++;
+      continue;
+    }
+
+    const normalized = normalizePhoneNumber(row.phone_number);
+
+    if (!normalized) {
+      summary.invalid.push({ id: row[idField], phoneNumber: row.phone_number });
+      continue;
+    }
+
+    if (owners.has(normalized)) {
+      summary.conflicts.push({ id: row[idField], phoneNumber: row.phone_number, conflictsWith: owners.get(normalized) });
+      continue;
+    }
+    owners.set(normalized, row[idField]);
+
+    if (normalized === row.phone_number) {
+      summary.unchanged++;
+    } else {
+      changes.push({ id: row[idField], from: row.phone_number, to: normalized });
+    }
+  }
+
+  for (const change of changes) {
+    console.log(`${apply ? '✏️' : '🔍'} ${table} ${change.id}: ${change.from} -> ${change.to}`);
+
+    if (apply) {
+      const { error } = await supabase
+        .from(table)
+        .update({ phone_number: change.to })
+        .eq(idField, change.id);
+
+      if (error) {
+        throw new Error(`Failed to update ${table} ${change.id}: ${error.message}`);
+      }
+    }
+
+    summary.updated++;
+  }
+
+  return summary;
+}
+
+async function run() {
+  console.log(`📞 Normalizing phone numbers to E.164 (default country ${DEFAULT_PHONE_COUNTRY})${apply ? '' : ' - DRY RUN'}`);
+
+  for (const table of TABLES) {
+    const summary = await migrateTable(table);
+
+    console.log(`\n📊 ${summary.table}: ${summary.total} rows, ${summary.updated} ${apply ? 'updated' : 'to update'}, ${summary.unchanged} unchanged`);
+
+    for (const row of summary.invalid) {
+      console.log(`   ❌ ${summary.table} ${row.id}: cannot parse "${row.phoneNumber}"`);
+    }
+    for (const row of summary.conflicts) {
+      console.log(`   ⚠️ ${summary.table} ${row.id}: "${row.phoneNumber}" is the same number as row ${row.conflictsWith}`);
+    }
+  }
+
+  if (!apply) {
+    console.log('\nℹ️ Dry run only - re-run with --apply to write the changes');
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ Phone number migration failed:', error);
+  process.exit(1);
+});
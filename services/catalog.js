@@ -0,0 +1,62 @@
+import supabase from '../supabaseClient.js';
+
+// Courses and companies are selected by their exact display name
+class Catalog {
+  /**
+   * Find a course by name, or null if there is none
+   */
+  static async findCourseByName(courseName) {
+    const { data: course, error } = await supabase
+      .from('courses')
+      .select('course_id, course_name')
+      .eq('course_name', courseName)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up course: ${error.message}`);
+    }
+
+    return course;
+  }
+
+  /**
+   * Find a company by name, or null if there is none
+   */
+  static async findCompanyByName(companyName) {
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select('company_id, company_name')
+      .eq('company_name', companyName)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up company: ${error.message}`);
+    }
+
+    return company;
+  }
+
+  /**
+   * Load all courses and companies as name -> row maps, for resolving many names at once
+   */
+  static async loadByName() {
+    const [{ data: courses, error: courseError }, { data: companies, error: companyError }] = await Promise.all([
+      supabase.from('courses').select('course_id, course_name'),
+      supabase.from('companies').select('company_id, company_name')
+    ]);
+
+    if (courseError) {
+      throw new Error(`Failed to load courses: ${courseError.message}`);
+    }
+    if (companyError) {
+      throw new Error(`Failed to load companies: ${companyError.message}`);
+    }
+
+    return {
+      courses: new Map(courses.map(course => [course.course_name, course])),
+      companies: new Map(companies.map(company => [company.company_name, company]))
+    };
+  }
+}
+
+export default Catalog;
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import supabase from '../supabaseClient.js';
+import CertificateGenerator from './certificateGenerator.js';
+import { applyStudentFilters } from './studentFilters.js';
+
+// Background batch certificate generation. Jobs run in this process and are kept
+// in memory, so a restart loses their reports (certificates already saved stay saved).
+const DEFAULT_CONCURRENCY = parseInt(process.env.CERTIFICATE_BATCH_CONCURRENCY, 10) || 3;
+const MAX_CONCURRENCY = 10;
+const MAX_BATCH_SIZE = parseInt(process.env.CERTIFICATE_BATCH_MAX_STUDENTS, 10) || 2000;
+const PAGE_SIZE = 1000;
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map();
+
+// Set while a job is being set up (students still loading), so a second start cannot slip past
+// the "already running" check before the first job is registered
+let starting = false;
+const certificateGenerator = new CertificateGenerator();
+
+// Public view of a job: progress counters, plus the per-student report when asked for
+function toJobView(job, { includeResults = true } = {}) {
+  const { results, ...summary } = job;
+  return {
+    ...summary,
+    progress: job.total ? Math.round((job.processed / job.total) * 100) : 100,
+    ...(includeResults && { results })
+  };
+}
+
+// Drop the oldest finished jobs so memory stays bounded
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach(job => jobs.delete(job.id));
+}
+
+class CertificateBatchJobs {
+  static get defaultConcurrency() {
+    return DEFAULT_CONCURRENCY;
+  }
+
+  static get maxConcurrency() {
+    return MAX_CONCURRENCY;
+  }
+
+  /**
+   * Find every student matching the filters, in student ID order
+   */
+  static async findStudents(filters) {
+    const students = [];
+
+    for (let start = 0; ; start += PAGE_SIZE) {
+      const { data, error } = await applyStudentFilters(
+        supabase.from('students').select('student_id, name'),
+        filters
+      )
+        .order('student_id', { ascending: true })
+        .range(start, start + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to select students: ${error.message}`);
+      }
+
+      students.push(...data);
+      if (data.length < PAGE_SIZE || students.length > MAX_BATCH_SIZE) {
+        return students;
+      }
+    }
+  }
+
+  /**
+   * Create a job for the matching students and start it in the background.
+   * Returns { job } or { error, status } when the batch cannot be started.
+   */
+  static async start({ filters, concurrency = DEFAULT_CONCURRENCY, createdBy }) {
+    const running = [...jobs.values()].find(job => !job.finishedAt);
+    if (running || starting) {
+      return {
+        status: 409,
+        error: {
+          success: false,
+          error: 'Batch already running',
+          message: 'Wait for the current batch job to finish before starting another',
+          jobId: running?.id || null
+        }
+      };
+    }
+
+    starting = true;
+    try {
+      return await this.create({ filters, concurrency, createdBy });
+    } finally {
+      starting = false;
+    }
+  }
+
+  /**
+   * Load the matching students, register the job and run it in the background
+   */
+  static async create({ filters, concurrency, createdBy }) {
+    const students = await this.findStudents(filters);
+
+    if (students.length > MAX_BATCH_SIZE) {
+      return {
+        status: 400,
+        error: {
+          success: false,
+          error: 'Batch too large',
+          message: `A batch can contain at most ${MAX_BATCH_SIZE} students - narrow the filter`
+        }
+      };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      filters,
+      concurrency,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      total: students.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      results: students.map(student => ({
+        studentId: student.student_id,
+        name: student.name,
+        status: 'pending',
+        certificateId: null,
+        endDateCorrection: null,
+        error: null
+      }))
+    };
+
+    jobs.set(job.id, job);
+    pruneFinishedJobs();
+
+    console.log(`🎓 Batch job ${job.id} started for ${job.total} students (concurrency ${concurrency})`);
+
+    this.run(job).catch(error => {
+      console.error(`❌ Batch job ${job.id} crashed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+    });
+
+    return { job: toJobView(job, { includeResults: false }) };
+  }
+
+  /**
+   * Generate certificates for every pending result, at most job.concurrency at a time
+   */
+  static async run(job) {
+    let next = 0;
+
+    const worker = async () => {
+      while (next < job.results.length) {
+        const result = job.results[next++];
+
+        try {
+          const generated = await certificateGenerator.generateAndSaveCertificate(result.studentId, {
+            actor: { role: 'admin', id: job.createdBy }
+          });
+          result.status = 'succeeded';
+          result.certificateId = generated.certificateId;
+          result.endDateCorrection = generated.endDateCorrection;
+          job.succeeded++;
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.message;
+          job.failed++;
+        }
+
+        job.processed++;
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(job.concurrency, job.results.length) }, worker));
+
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+
+    console.log(`✅ Batch job ${job.id} finished: ${job.succeeded} succeeded, ${job.failed} failed`);
+  }
+
+  /**
+   * Get a job by ID, or null
+   */
+  static get(jobId, options) {
+    const job = jobs.get(jobId);
+    return job ? toJobView(job, options) : null;
+  }
+
+  /**
+   * List jobs, newest first, without their per-student reports
+   */
+  static list() {
+    return [...jobs.values()]
+      .reverse()
+      .map(job => toJobView(job, { includeResults: false }));
+  }
+}
+
+export default CertificateBatchJobs;
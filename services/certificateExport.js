@@ -0,0 +1,124 @@
+import { ZipArchive } from 'archiver';
+import supabase from '../supabaseClient.js';
+import CertificateGenerator from './certificateGenerator.js';
+import { applyStudentFilters } from './studentFilters.js';
+
+// ZIP export of generated certificates for handing a batch to a partner company.
+// PDFs are fetched and added one at a time so only one is held in memory.
+const MAX_EXPORT_SIZE = parseInt(process.env.CERTIFICATE_EXPORT_MAX_STUDENTS, 10) || 2000;
+const PAGE_SIZE = 1000;
+
+const MANIFEST_COLUMNS = [
+  'file_name',
+  'certificate_id',
+  'holder_name',
+  'student_id',
+  'course',
+  'company',
+  'internship_start_date',
+  'internship_end_date',
+  'generated_at',
+  'status'
+];
+
+const certificateGenerator = new CertificateGenerator();
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class CertificateExport {
+  static get maxSize() {
+    return MAX_EXPORT_SIZE;
+  }
+
+  /**
+   * Find the students with a generated, unrevoked certificate matching the filters (without the PDFs)
+   */
+  static async findCertificates(filters) {
+    const certificates = [];
+
+    for (let start = 0; ; start += PAGE_SIZE) {
+      const { data, error } = await applyStudentFilters(
+        supabase.from('students').select(`
+          student_id,
+          preferred_name,
+          certificate_id,
+          internship_start_date,
+          internship_end_date,
+          certificate_generated_at,
+          courses(course_name),
+          companies(company_name)
+        `),
+        { ...filters, certificate: 'generated' }
+      )
+        .is('certificate_revoked_at', null)
+        .order('student_id', { ascending: true })
+        .range(start, start + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to select certificates: ${error.message}`);
+      }
+
+      certificates.push(...data);
+      if (data.length < PAGE_SIZE || certificates.length > MAX_EXPORT_SIZE) {
+        return certificates;
+      }
+    }
+  }
+
+  /**
+   * Stream a ZIP of the certificates' PDFs plus manifest.csv to a writable stream.
+   * A PDF that cannot be read is left out and marked in the manifest instead of failing the export.
+   */
+  static async writeZip(certificates, output, { isAborted = () => false } = {}) {
+    const archive = new ZipArchive({ store: true });
+    const manifest = [MANIFEST_COLUMNS.join(',')];
+    let included = 0;
+
+    archive.on('warning', warning => console.warn('⚠️ Certificate export warning:', warning));
+    archive.pipe(output);
+
+    for (const student of certificates) {
+      if (isAborted()) {
+        archive.abort();
+        return { aborted: true };
+      }
+
+      const fileName = certificateGenerator.getFileName(student.preferred_name, student.certificate_id);
+      let status = 'included';
+
+      try {
+        const { certificate } = await certificateGenerator.getCertificate(student.student_id);
+        const entryAdded = new Promise(resolve => archive.once('entry', resolve));
+        archive.append(certificate, { name: fileName });
+        await entryAdded;
+        included++;
+      } catch (error) {
+        console.error(`❌ Certificate export skipped student ${student.student_id}:`, error.message);
+        status = 'missing';
+      }
+
+      manifest.push([
+        status === 'included' ? fileName : '',
+        student.certificate_id,
+        student.preferred_name,
+        student.student_id,
+        student.courses?.course_name,
+        student.companies?.company_name,
+        student.internship_start_date,
+        student.internship_end_date,
+        student.certificate_generated_at,
+        status
+      ].map(csvField).join(','));
+    }
+
+    archive.append(`${manifest.join('\r\n')}\r\n`, { name: 'manifest.csv' });
+    await archive.finalize();
+
+    return { aborted: false, count: included, missing: certificates.length - included };
+  }
+}
+
+export default CertificateExport;
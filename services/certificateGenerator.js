@@ -1,41 +1,89 @@
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import { PDFDocument, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
 import QRCode from 'qrcode';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import supabase from '../supabaseClient.js';
+import { getFileStorage } from './storage/index.js';
+import CertificateTemplates from './certificateTemplates.js';
+import PdfSigner from './pdfSigner.js';
+import CertificateVersions from './certificateVersions.js';
+import CertificateRequests from './certificateRequests.js';
+import { defaultLayout } from './templateLayout.js';
+import { fitText, positionLines } from './textLayout.js';
+import { parseFont, createCoverageCheck, pickFont } from './fontCoverage.js';
+import { parseIsoDate, validateInternship } from './internshipDates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class CertificateGenerator {
   constructor() {
-    this.templatePath = path.join(__dirname, '../../template/template.pdf');
+    // Built-in template, used when no uploaded template is assigned or marked as default
+    this.templatePath = process.env.CERTIFICATE_TEMPLATE_PATH || path.join(__dirname, '../../template/template.pdf');
+    this.verifyBaseUrl = process.env.CERTIFICATE_VERIFY_BASE_URL || `http://localhost:${process.env.PORT || 3001}/v1/verify`;
+    this.storage = getFileStorage();
+  }
+
+  /**
+   * Storage key of a student's certificate PDF
+   */
+  getStorageKey(studentId, certificateId) {
+    return `certificates/${studentId}/${certificateId}.pdf`;
+  }
+
+  /**
+   * SHA-256 checksum (hex) of certificate bytes, kept on the student row to detect corrupted files
+   */
+  getChecksum(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+  }
+
+  /**
+   * Build the public verification URL encoded in the certificate QR code
+   */
+  getVerifyUrl(certificateId) {
+    return `${this.verifyBaseUrl.replace(/\/+$/, '')}/${encodeURIComponent(certificateId)}`;
+  }
+
+  /**
+   * File name used for downloaded certificate PDFs, e.g. "Jane Doe_Certificate_AB12CD34.pdf"
+   */
+  getFileName(studentName, certificateId) {
+    const safeName = String(studentName || 'Student').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim();
+    return `${safeName}_Certificate_${certificateId}.pdf`;
   }
 
   /**
    * Format date from YYYY-MM-DD to "1 July 2025" format
    */
   formatDate(dateString) {
-    const date = new Date(dateString);
+    // Calendar dates are read and printed in UTC so the server's timezone cannot shift the day
+    const date = parseIsoDate(dateString);
+    if (!date) {
+      throw new Error(`Invalid date "${dateString}" - expected YYYY-MM-DD`);
+    }
+    
     const months = [
       'January', 'February', 'March', 'April', 'May', 'June',
       'July', 'August', 'September', 'October', 'November', 'December'
     ];
     
-    const day = date.getDate();
-    const month = months[date.getMonth()];
-    const year = date.getFullYear();
+    const day = date.getUTCDate();
+    const month = months[date.getUTCMonth()];
+    const year = date.getUTCFullYear();
     
     return `${day} ${month} ${year}`;
   }
 
   /**
-   * Generate QR code as PNG buffer
+   * Generate QR code (pointing at the verification URL) as PNG buffer
    */
   async generateQRCode(certificateId) {
     try {
-      const qrCodeBuffer = await QRCode.toBuffer(certificateId, {
+      const qrCodeBuffer = await QRCode.toBuffer(this.getVerifyUrl(certificateId), {
         type: 'png',
         width: 150,
         margin: 1,
@@ -52,15 +100,144 @@ class CertificateGenerator {
   }
 
   /**
-   * Generate certificate for a student
+   * Convert a #RRGGBB layout colour to a pdf-lib colour
+   */
+  parseColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return rgb(((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255);
+  }
+
+  /**
+   * The text drawn for each layout field
+   */
+  getFieldTexts(studentData) {
+    const startDate = this.formatDate(studentData.internship_start_date);
+    const endDate = this.formatDate(studentData.internship_end_date);
+
+    return {
+      name: studentData.preferred_name,
+      completion: `has successfully completed a ${studentData.course_name} Internship at ${studentData.company_name},`,
+      dates: `held from ${startDate} to ${endDate}.`,
+      certificateId: `Certificate ID: ${studentData.certificate_id}`
+    };
+  }
+
+  /**
+   * Template for a student: the uploaded template assigned to their company/course or the default one,
+   * falling back to the built-in template file with the default layout
+   */
+  async loadTemplate(studentData, { includePdf = true } = {}) {
+    const template = await CertificateTemplates.resolveForStudent(studentData);
+
+    if (template) {
+      return {
+        templateId: template.template_id,
+        templateBytes: includePdf ? await CertificateTemplates.loadPdf(template) : null,
+        layout: CertificateTemplates.getLayout(template),
+        fonts: await CertificateTemplates.loadFonts(template.template_id)
+      };
+    }
+
+    return {
+      templateId: null,
+      templateBytes: includePdf ? await fs.readFile(this.templatePath) : null,
+      layout: null,
+      fonts: []
+    };
+  }
+
+  /**
+   * Fonts a field can be drawn with, in order: its own font, then the template's uploaded fonts.
+   * customFonts maps uploaded font names to { bytes, covers }.
+   */
+  getFontChain(placement, customFonts) {
+    const names = [placement.font, ...[...customFonts.keys()].filter(name => name !== placement.font)];
+    return names.map(name => ({
+      name,
+      covers: customFonts.get(name)?.covers || createCoverageCheck(name)
+    }));
+  }
+
+  /**
+   * Parse uploaded template fonts ([{ name, bytes }]) into a name -> { bytes, covers } map
+   */
+  getCustomFonts(fonts = []) {
+    return new Map(fonts.map(({ name, bytes }) => {
+      const { font, error } = parseFont(bytes);
+      if (error) {
+        throw new Error(`Template font "${name}" cannot be used: ${error}`);
+      }
+      return [name, { bytes, covers: createCoverageCheck(font) }];
+    }));
+  }
+
+  /**
+   * Check that every layout field can be printed with the template's fonts.
+   * Returns [{ field, characters }] for text no available font covers (empty when all is well).
+   */
+  async findUnsupportedCharacters(studentData) {
+    const { layout, fonts } = await this.loadTemplate(studentData, { includePdf: false });
+    const customFonts = this.getCustomFonts(fonts);
+    const texts = this.getFieldTexts(studentData);
+
+    // Only the fonts of the layout matter here, so the page size of the default layout is irrelevant
+    const { fields } = layout || defaultLayout(0, 0);
+
+    return Object.entries(fields)
+      .map(([field, placement]) => ({ field, ...pickFont(texts[field], this.getFontChain(placement, customFonts)) }))
+      .filter(result => result.missing)
+      .map(({ field, missing }) => ({ field, characters: missing }));
+  }
+
+  /**
+   * Draw one layout field: shrunk and/or wrapped to fit its box, each line aligned on the field's x.
+   * Returns null, or { field, message } when the text does not fit (nothing is drawn then).
+   */
+  drawField(page, field, placement, text, font) {
+    let fitted;
+    try {
+      fitted = fitText(text, font, placement);
+    } catch (error) {
+      return { field, message: `The ${field} field does not fit the template layout: ${error.message}` };
+    }
+
+    if (fitted.size < placement.size) {
+      console.log(`🔡 ${field} shrunk from ${placement.size}pt to ${fitted.size}pt to fit`);
+    }
+
+    for (const line of positionLines(fitted.lines, font, fitted.size, placement)) {
+      page.drawText(line.text, {
+        x: line.x,
+        y: line.y,
+        size: fitted.size,
+        font,
+        color: this.parseColor(placement.color)
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate certificate for a student with the template that applies to them
    */
   async generateCertificate(studentData) {
+    const template = await this.loadTemplate(studentData);
+    return this.renderCertificate(studentData, template);
+  }
+
+  /**
+   * Render certificate data onto template PDF bytes using a layout (null = default layout for the page size).
+   * With sign: true the PDF gets an embedded PKCS#7 signature (see services/pdfSigner.js).
+   * Text that no font can print or that does not fit its box fails with code UNPRINTABLE_FIELDS and
+   * error.fields as [{ field, message, characters? }], covering every such field.
+   */
+  async renderCertificate(studentData, { templateBytes, layout, fonts = [] }, { sign = false } = {}) {
     try {
       console.log('🎓 Starting certificate generation for:', studentData.preferred_name);
       
-      // Read the template PDF
-      const templateBytes = await fs.readFile(this.templatePath);
       const pdfDoc = await PDFDocument.load(templateBytes);
+      pdfDoc.registerFontkit(fontkit);
       
       // Get the first page
       const pages = pdfDoc.getPages();
@@ -69,155 +246,297 @@ class CertificateGenerator {
       
       console.log(`📄 PDF dimensions: ${width} x ${height}`);
       
-      // Embed fonts
-      const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const helveticaBoldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-      
-      // Format dates
-      const startDate = this.formatDate(studentData.internship_start_date);
-      const endDate = this.formatDate(studentData.internship_end_date);
-      
-      // Generate certificate text
-      const certificateText = `${studentData.preferred_name}\nhas successfully completed a ${studentData.course_name} Internship at ${studentData.company_name},\nheld from ${startDate} to ${endDate}.`;
-      
-      console.log('📝 Certificate text:', certificateText);
-      
-      // Add student name (larger, bold)
-      firstPage.drawText(studentData.preferred_name, {
-        x: width / 2 - (studentData.preferred_name.length * 12), // Center approximately
-        y: height / 2 + 50, // Adjust position as needed
-        size: 24,
-        font: helveticaBoldFont,
-        color: rgb(0, 0, 0),
-      });
-      
-      // Add completion text
-      const completionText = `has successfully completed a ${studentData.course_name} Internship at ${studentData.company_name},`;
-      firstPage.drawText(completionText, {
-        x: width / 2 - (completionText.length * 4), // Center approximately
-        y: height / 2 + 10,
-        size: 14,
-        font: helveticaFont,
-        color: rgb(0, 0, 0),
-      });
+      const { fields, qr } = layout || defaultLayout(width, height);
+      const texts = this.getFieldTexts(studentData);
+      
+      // Each field uses the first font that can print all of its text; each font is embedded once,
+      // and uploaded fonts are subset to the glyphs actually used
+      const customFonts = this.getCustomFonts(fonts);
+      const embeddedFonts = {};
+      const unprintable = [];
+      
+      for (const [field, placement] of Object.entries(fields)) {
+        const { name, missing } = pickFont(texts[field], this.getFontChain(placement, customFonts));
+        
+        if (missing) {
+          unprintable.push({
+            field,
+            message: `The ${field} text contains characters no template font can print: ${missing.join(' ')}`,
+            characters: missing
+          });
+          continue;
+        }
+        
+        if (!embeddedFonts[name]) {
+          embeddedFonts[name] = customFonts.has(name)
+            ? await pdfDoc.embedFont(customFonts.get(name).bytes, { subset: true })
+            : await pdfDoc.embedFont(name);
+        }
+        
+        const problem = this.drawField(firstPage, field, { ...placement, font: name }, texts[field], embeddedFonts[name]);
+        if (problem) {
+          unprintable.push(problem);
+        }
+      }
       
-      // Add date range text
-      const dateText = `held from ${startDate} to ${endDate}.`;
-      firstPage.drawText(dateText, {
-        x: width / 2 - (dateText.length * 4), // Center approximately
-        y: height / 2 - 20,
-        size: 14,
-        font: helveticaFont,
-        color: rgb(0, 0, 0),
-      });
+      if (unprintable.length > 0) {
+        const error = new Error(unprintable.map(({ message }) => message).join('; '));
+        error.code = 'UNPRINTABLE_FIELDS';
+        error.fields = unprintable;
+        throw error;
+      }
       
       // Generate and embed QR code
-      const qrCodeBuffer = await this.generateQRCode(studentData.certificate_id);
-      const qrCodeImage = await pdfDoc.embedPng(qrCodeBuffer);
-      
-      // Add QR code to top-right corner
-      const qrSize = 80;
-      firstPage.drawImage(qrCodeImage, {
-        x: width - qrSize - 20, // 20px margin from right
-        y: height - qrSize - 20, // 20px margin from top
-        width: qrSize,
-        height: qrSize,
-      });
+      if (qr) {
+        const qrCodeBuffer = await this.generateQRCode(studentData.certificate_id);
+        const qrCodeImage = await pdfDoc.embedPng(qrCodeBuffer);
+        
+        firstPage.drawImage(qrCodeImage, {
+          x: qr.x,
+          y: qr.y,
+          width: qr.size,
+          height: qr.size,
+        });
+      }
       
       console.log('✅ Certificate content added successfully');
       
-      // Save the PDF as bytes
-      const pdfBytes = await pdfDoc.save();
+      if (!sign) {
+        const pdfBytes = await pdfDoc.save();
+        console.log(`📊 Generated PDF size: ${pdfBytes.length} bytes`);
+        return pdfBytes;
+      }
+      
+      // The signature covers the final bytes, so nothing may change the PDF after this
+      PdfSigner.addPlaceholder(pdfDoc);
+      const signedBytes = await PdfSigner.sign(await pdfDoc.save());
       
-      console.log(`📊 Generated PDF size: ${pdfBytes.length} bytes`);
+      console.log(`🔏 Signed PDF size: ${signedBytes.length} bytes`);
       
-      return pdfBytes;
+      return signedBytes;
       
     } catch (error) {
       console.error('❌ Error generating certificate:', error);
-      throw new Error(`Certificate generation failed: ${error.message}`);
+      const failure = new Error(`Certificate generation failed: ${error.message}`);
+      if (error.code === 'UNPRINTABLE_FIELDS') {
+        failure.code = error.code;
+        failure.fields = error.fields;
+      }
+      throw failure;
+    }
+  }
+
+  /**
+   * Fetch a student row for certificate generation
+   */
+  async fetchStudent(studentId) {
+    console.log(`🔍 Fetching student data for ID: ${studentId}`);
+    
+    const { data: student, error: fetchError } = await supabase
+      .from('students')
+      .select('*')
+      .eq('student_id', studentId)
+      .single();
+    
+    if (fetchError) {
+      console.error('❌ Error fetching student:', fetchError);
+      throw new Error(`Failed to fetch student: ${fetchError.message}`);
     }
+    
+    if (!student) {
+      throw new Error('Student not found');
+    }
+    
+    console.log('👤 Student found:', student.preferred_name);
+    
+    return student;
   }
 
   /**
-   * Generate certificate and save to database
+   * Generate a student's first certificate, save the PDF to file storage and record it as version 1.
+   * A student who already has a certificate must go through reissueCertificate instead, so an issued
+   * PDF is never silently replaced. If the student requested the certificate, the request must have
+   * been approved; it is then marked generated. actor ({ role, id }) is recorded on the request history.
    */
-  async generateAndSaveCertificate(studentId) {
+  async generateAndSaveCertificate(studentId, { actor } = {}) {
     try {
-      console.log(`🔍 Fetching student data for ID: ${studentId}`);
-      
-      // Fetch student data from Supabase
-      const { data: student, error: fetchError } = await supabase
-        .from('students')
-        .select('*')
-        .eq('student_id', studentId)
-        .single();
-      
-      if (fetchError) {
-        console.error('❌ Error fetching student:', fetchError);
-        throw new Error(`Failed to fetch student: ${fetchError.message}`);
-      }
+      const student = await this.fetchStudent(studentId);
       
-      if (!student) {
-        throw new Error('Student not found');
+      if (student.certificate_generated_at) {
+        const error = new Error('A certificate has already been generated for this student - reissue it to create a new version');
+        error.code = 'CERTIFICATE_EXISTS';
+        throw error;
       }
       
-      console.log('👤 Student found:', student.preferred_name);
+      await CertificateRequests.assertGeneratable(student.student_id);
       
-      // Validate required fields
-      const requiredFields = ['preferred_name', 'course_name', 'internship_start_date', 'internship_end_date', 'company_name', 'certificate_id'];
-      const missingFields = requiredFields.filter(field => !student[field]);
+      const result = await this.issueCertificate(student);
+      await CertificateRequests.recordCertificateEvent(student.student_id, 'generated', { actor });
       
-      if (missingFields.length > 0) {
-        throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-      }
-      
-      // Generate certificate PDF
-      const certificateBytes = await this.generateCertificate(student);
-      
-      // Convert to Uint8Array for database storage
-      const certificateBuffer = new Uint8Array(certificateBytes);
+      return result;
       
-      console.log('💾 Saving certificate to database...');
-      
-      // Update student record with certificate
-      const { data: updateData, error: updateError } = await supabase
-        .from('students')
-        .update({ 
-          certificate: certificateBuffer
-        })
-        .eq('student_id', studentId)
-        .select();
+    } catch (error) {
+      console.error('❌ Certificate generation process failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new version of a student's certificate after corrections, under a new certificate ID.
+   * The current version is marked superseded (or stays revoked) and its PDF is kept.
+   */
+  async reissueCertificate(studentId, { reason = null, actor } = {}) {
+    try {
+      const student = await this.fetchStudent(studentId);
       
-      if (updateError) {
-        console.error('❌ Error saving certificate:', updateError);
-        throw new Error(`Failed to save certificate: ${updateError.message}`);
+      if (!student.certificate_generated_at) {
+        const error = new Error('This student has no certificate to reissue - generate one first');
+        error.code = 'CERTIFICATE_NOT_FOUND';
+        throw error;
       }
       
-      console.log('✅ Certificate generated and saved successfully!');
-      
-      return {
-        success: true,
-        message: 'Certificate generated and saved successfully',
-        student: student.preferred_name,
-        certificateId: student.certificate_id,
-        size: certificateBytes.length
-      };
+      const certificateId = await CertificateVersions.generateCertificateId();
+      const supersededId = await CertificateVersions.supersede(student.student_id);
+      
+      try {
+        const result = await this.issueCertificate({ ...student, certificate_id: certificateId }, {
+          reissueReason: reason,
+          replaces: student.certificate_id
+        });
+        await CertificateRequests.recordCertificateEvent(student.student_id, 'generated', { actor, reason });
+        return { ...result, previousCertificateId: student.certificate_id };
+      } catch (error) {
+        if (supersededId) {
+          await CertificateVersions.restore(supersededId);
+        }
+        throw error;
+      }
       
     } catch (error) {
-      console.error('❌ Certificate generation process failed:', error);
+      console.error('❌ Certificate reissue failed:', error);
       throw error;
     }
   }
 
   /**
-   * Get certificate from database
+   * Render, sign and store a certificate for the student row's certificate_id, point the student at it
+   * and record it as a new active version. replaces is the certificate ID a reissue replaces; the student
+   * is only updated if it still has that certificate (or, for a first certificate, still has none), so a
+   * concurrent generation or reissue fails with CERTIFICATE_CHANGED instead of leaving two active versions.
+   */
+  async issueCertificate(storedStudent, { reissueReason = null, replaces = null } = {}) {
+    // Validate required fields
+    const requiredFields = ['preferred_name', 'course_name', 'internship_start_date', 'company_name', 'certificate_id'];
+    const missingFields = requiredFields.filter(field => !storedStudent[field]);
+    
+    if (missingFields.length > 0) {
+      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+    
+    // The request rules are checked again here, so bad dates stored by other paths never get printed.
+    // The end date is recomputed from the start date and duration rather than trusted: rows saved before
+    // the end-of-month clamping (e.g. 2025-01-31 + 1 month stored as 2025-03-03) are corrected, not refused.
+    const { internship, errors: internshipErrors } = validateInternship(storedStudent);
+    if (internshipErrors) {
+      const error = new Error(`Invalid internship details: ${internshipErrors.map(({ field, message }) => `${field}: ${message}`).join('; ')}`);
+      error.code = 'INVALID_INTERNSHIP';
+      error.errors = internshipErrors;
+      throw error;
+    }
+
+    // A corrected date is kept on the version and returned, so admins can see what changed
+    const endDateCorrection = storedStudent.internship_end_date === internship.endDate
+      ? null
+      : { from: storedStudent.internship_end_date, to: internship.endDate };
+    if (endDateCorrection) {
+      console.log(`📅 Correcting internship end date for student ${storedStudent.student_id}: ${endDateCorrection.from} -> ${endDateCorrection.to}`);
+    }
+    const student = { ...storedStudent, internship_end_date: internship.endDate };
+    
+    const sign = PdfSigner.isConfigured();
+    if (!sign) {
+      if (PdfSigner.isRequired()) {
+        throw new Error('Certificate signing is required but no signing certificate is configured');
+      }
+      console.warn('⚠️ No signing certificate configured - issuing an unsigned certificate');
+    }
+    
+    // Generate certificate PDF
+    const template = await this.loadTemplate(student);
+    const certificateBytes = await this.renderCertificate(student, template, { sign });
+    
+    // Each version has its own certificate ID, so earlier versions' files are never overwritten
+    const storageKey = this.getStorageKey(student.student_id, student.certificate_id);
+    const checksum = this.getChecksum(certificateBytes);
+    const generatedAt = new Date().toISOString();
+    
+    console.log(`💾 Saving certificate to ${this.storage.name} storage: ${storageKey}`);
+    
+    await this.storage.put(storageKey, Buffer.from(certificateBytes), { contentType: 'application/pdf' });
+    
+    // Update student record with a reference to the stored certificate
+    let update = supabase
+      .from('students')
+      .update({ 
+        internship_end_date: student.internship_end_date,
+        certificate_id: student.certificate_id,
+        certificate_storage_key: storageKey,
+        certificate_checksum: checksum,
+        certificate_template_id: template.templateId,
+        certificate_signed: sign,
+        certificate_generated_at: generatedAt,
+        certificate_revoked_at: null,
+        certificate_revocation_reason: null
+      })
+      .eq('student_id', student.student_id);
+    update = replaces ? update.eq('certificate_id', replaces) : update.is('certificate_generated_at', null);
+    
+    const { data: updated, error: updateError } = await update.select('student_id');
+    
+    if (updateError) {
+      console.error('❌ Error saving certificate:', updateError);
+      throw new Error(`Failed to save certificate: ${updateError.message}`);
+    }
+    
+    if (updated.length === 0) {
+      await this.storage.remove(storageKey).catch(() => {});
+      const error = new Error('The certificate was generated or reissued by someone else in the meantime - reload it and try again');
+      error.code = 'CERTIFICATE_CHANGED';
+      throw error;
+    }
+    
+    const version = await CertificateVersions.record(student, {
+      certificateId: student.certificate_id,
+      storageKey,
+      checksum,
+      signed: sign,
+      templateId: template.templateId,
+      generatedAt,
+      reissueReason,
+      endDateCorrection
+    });
+    
+    console.log(`✅ Certificate version ${version.version} generated and saved successfully!`);
+    
+    return {
+      success: true,
+      message: 'Certificate generated and saved successfully',
+      student: student.preferred_name,
+      certificateId: student.certificate_id,
+      version: version.version,
+      size: certificateBytes.length,
+      endDateCorrection
+    };
+  }
+
+  /**
+   * Get a student's certificate PDF from file storage, checking it against the stored checksum
    */
   async getCertificate(studentId) {
     try {
       const { data: student, error } = await supabase
         .from('students')
-        .select('certificate, preferred_name, certificate_id')
+        .select('preferred_name, certificate_id, certificate_storage_key, certificate_checksum, certificate_generated_at, certificate_revoked_at')
         .eq('student_id', studentId)
         .single();
       
@@ -225,14 +544,23 @@ class CertificateGenerator {
         throw new Error(`Failed to fetch certificate: ${error.message}`);
       }
       
-      if (!student || !student.certificate) {
+      if (!student || !student.certificate_storage_key) {
         throw new Error('Certificate not found');
       }
       
+      const certificate = await this.storage.get(student.certificate_storage_key);
+      
+      if (student.certificate_checksum && this.getChecksum(certificate) !== student.certificate_checksum) {
+        throw new Error('Stored certificate file does not match its checksum');
+      }
+      
       return {
-        certificate: student.certificate,
+        certificate,
         studentName: student.preferred_name,
-        certificateId: student.certificate_id
+        certificateId: student.certificate_id,
+        checksum: student.certificate_checksum,
+        generatedAt: student.certificate_generated_at,
+        revokedAt: student.certificate_revoked_at
       };
       
     } catch (error) {
@@ -0,0 +1,509 @@
+import supabase from '../supabaseClient.js';
+
+// Certificate requests and their approval workflow. A request records what the student asked for;
+// only approval copies it onto the student row (which certificates are generated from).
+//
+//   submitted -> under_review -> approved -> generated -> revoked -> generated (reissue)
+//   submitted / under_review -> rejected
+//   submitted / under_review -> withdrawn (by the student)
+//
+// Approval has already copied the details onto the student row, so an approved request can no longer
+// be rejected; a wrong certificate is revoked instead.
+//
+// Every status change is stored as an event with who made it, and the latest request's status is
+// mirrored on students.certificate_request_status for the list filters. Until a request is approved
+// the student can amend it; each amendment is kept with the old and new values for the reviewer.
+
+export const REQUEST_STATES = ['submitted', 'under_review', 'approved', 'rejected', 'generated', 'revoked', 'withdrawn'];
+
+// Requests still waiting for a decision or for their certificate
+export const OPEN_STATES = ['submitted', 'under_review', 'approved'];
+
+// Requests the student may still amend or withdraw
+export const EDITABLE_STATES = ['submitted', 'under_review'];
+
+const TRANSITIONS = {
+  submitted: ['under_review', 'approved', 'rejected', 'withdrawn'],
+  under_review: ['approved', 'rejected', 'withdrawn'],
+  approved: ['generated'],
+  generated: ['revoked'],
+  revoked: ['generated'],
+  rejected: [],
+  withdrawn: []
+};
+
+// Request details an amendment can change: public field name -> column
+const AMENDABLE_FIELDS = {
+  preferredName: 'preferred_name',
+  courseId: 'course_id',
+  companyId: 'company_id',
+  internshipStartDate: 'internship_start_date',
+  internshipEndDate: 'internship_end_date',
+  internshipDuration: 'internship_duration'
+};
+
+const REQUEST_COLUMNS = `
+  request_id,
+  student_id,
+  status,
+  preferred_name,
+  course_id,
+  company_id,
+  internship_start_date,
+  internship_end_date,
+  internship_duration,
+  rejection_reason,
+  submitted_at,
+  status_changed_at,
+  amended_at,
+  reviewed_by,
+  courses(course_name),
+  companies(company_name)
+`;
+
+const EVENT_COLUMNS = 'event_id, from_status, to_status, actor_role, actor_id, reason, created_at';
+
+const AMENDMENT_COLUMNS = 'amendment_id, changes, actor_role, actor_id, created_at';
+
+const SYSTEM_ACTOR = { role: 'system', id: null };
+
+class CertificateRequests {
+  /**
+   * Whether a request in one state may move to another
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Public view of a request row
+   */
+  static toRequest(row) {
+    return {
+      requestId: row.request_id,
+      studentId: row.student_id,
+      status: row.status,
+      preferredName: row.preferred_name,
+      courseId: row.course_id,
+      course: row.courses?.course_name || null,
+      companyId: row.company_id,
+      company: row.companies?.company_name || null,
+      internshipStartDate: row.internship_start_date,
+      internshipEndDate: row.internship_end_date,
+      internshipDuration: row.internship_duration,
+      rejectionReason: row.rejection_reason,
+      submittedAt: row.submitted_at,
+      statusChangedAt: row.status_changed_at,
+      amendedAt: row.amended_at,
+      reviewedBy: row.reviewed_by
+    };
+  }
+
+  static toEvent(row) {
+    return {
+      from: row.from_status,
+      to: row.to_status,
+      actor: { role: row.actor_role, id: row.actor_id },
+      reason: row.reason,
+      at: row.created_at
+    };
+  }
+
+  static toAmendment(row) {
+    return {
+      amendmentId: row.amendment_id,
+      changes: row.changes,
+      actor: { role: row.actor_role, id: row.actor_id },
+      at: row.created_at
+    };
+  }
+
+  /**
+   * A request by ID, or null
+   */
+  static async findById(requestId) {
+    const { data, error } = await supabase
+      .from('certificate_requests')
+      .select(REQUEST_COLUMNS)
+      .eq('request_id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch certificate request: ${error.message}`);
+    }
+
+    return data ? this.toRequest(data) : null;
+  }
+
+  /**
+   * A student's most recent request, or null if they have never requested a certificate
+   */
+  static async findLatestForStudent(studentId) {
+    const { data, error } = await supabase
+      .from('certificate_requests')
+      .select(REQUEST_COLUMNS)
+      .eq('student_id', studentId)
+      .order('submitted_at', { ascending: false })
+      .order('request_id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch certificate request: ${error.message}`);
+    }
+
+    return data ? this.toRequest(data) : null;
+  }
+
+  /**
+   * Status history of a request, oldest first
+   */
+  static async listEvents(requestId) {
+    const { data, error } = await supabase
+      .from('certificate_request_events')
+      .select(EVENT_COLUMNS)
+      .eq('request_id', requestId)
+      .order('created_at', { ascending: true })
+      .order('event_id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch certificate request history: ${error.message}`);
+    }
+
+    return data.map(row => this.toEvent(row));
+  }
+
+  /**
+   * Amendments made to a request, oldest first
+   */
+  static async listAmendments(requestId) {
+    const { data, error } = await supabase
+      .from('certificate_request_amendments')
+      .select(AMENDMENT_COLUMNS)
+      .eq('request_id', requestId)
+      .order('created_at', { ascending: true })
+      .order('amendment_id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch certificate request amendments: ${error.message}`);
+    }
+
+    return data.map(row => this.toAmendment(row));
+  }
+
+  /**
+   * Requests in the given states, oldest submission first (the admin review queue).
+   * Returns { requests, total }.
+   */
+  static async list({ statuses = OPEN_STATES, limit, offset }) {
+    const { data, error, count } = await supabase
+      .from('certificate_requests')
+      .select(`${REQUEST_COLUMNS}, students!inner(name, phone_number, deleted)`, { count: 'exact' })
+      .in('status', statuses)
+      .eq('students.deleted', false)
+      .order('submitted_at', { ascending: true })
+      .order('request_id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list certificate requests: ${error.message}`);
+    }
+
+    return {
+      requests: data.map(row => ({
+        ...this.toRequest(row),
+        studentName: row.students?.name || null,
+        phoneNumber: row.students?.phone_number || null
+      })),
+      total: count
+    };
+  }
+
+  static async logEvent(requestId, from, to, actor, reason = null) {
+    const { error } = await supabase
+      .from('certificate_request_events')
+      .insert({
+        request_id: requestId,
+        from_status: from,
+        to_status: to,
+        actor_role: actor.role,
+        actor_id: actor.id === undefined || actor.id === null ? null : String(actor.id),
+        reason
+      });
+
+    if (error) {
+      throw new Error(`Failed to record certificate request history: ${error.message}`);
+    }
+  }
+
+  static async mirrorStatus(studentId, status) {
+    const { error } = await supabase
+      .from('students')
+      .update({ certificate_request_status: status })
+      .eq('student_id', studentId);
+
+    if (error) {
+      throw new Error(`Failed to update student request status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new request for a student.
+   * details: { preferredName, courseId, companyId, internshipStartDate, internshipEndDate, internshipDuration }
+   */
+  static async submit(studentId, details, actor) {
+    const { data, error } = await supabase
+      .from('certificate_requests')
+      .insert({
+        student_id: studentId,
+        status: 'submitted',
+        preferred_name: details.preferredName,
+        course_id: details.courseId,
+        company_id: details.companyId,
+        internship_start_date: details.internshipStartDate,
+        internship_end_date: details.internshipEndDate,
+        internship_duration: details.internshipDuration
+      })
+      .select(REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      const failure = new Error(`Failed to submit certificate request: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
+    }
+
+    await this.logEvent(data.request_id, null, 'submitted', actor);
+    await this.mirrorStatus(studentId, 'submitted');
+
+    return this.toRequest(data);
+  }
+
+  static invalidTransition(request, to) {
+    return {
+      status: 409,
+      error: {
+        success: false,
+        error: 'Invalid status change',
+        message: `A request that is ${request.status.replace('_', ' ')} cannot be moved to ${to.replace('_', ' ')}`,
+        currentStatus: request.status
+      }
+    };
+  }
+
+  /**
+   * Move a request to another state.
+   * Only succeeds if the request is still in the state it was read in and has not been amended since,
+   * so two admins acting at once cannot both apply a transition and nobody acts on outdated details.
+   * Returns { request } or { status, error } with the HTTP status and error body to send.
+   */
+  static async transition(request, to, { actor = SYSTEM_ACTOR, reason = null } = {}) {
+    if (!this.canTransition(request.status, to)) {
+      return this.invalidTransition(request, to);
+    }
+
+    const updates = {
+      status: to,
+      status_changed_at: new Date().toISOString()
+    };
+    if (to === 'rejected') {
+      updates.rejection_reason = reason;
+    }
+    if (['under_review', 'approved', 'rejected'].includes(to)) {
+      updates.reviewed_by = actor.id === undefined || actor.id === null ? null : String(actor.id);
+    }
+
+    let query = supabase
+      .from('certificate_requests')
+      .update(updates)
+      .eq('request_id', request.requestId)
+      .eq('status', request.status);
+
+    query = request.amendedAt ? query.eq('amended_at', request.amendedAt) : query.is('amended_at', null);
+
+    const { data, error } = await query
+      .select(REQUEST_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update certificate request: ${error.message}`);
+    }
+
+    if (!data) {
+      return {
+        status: 409,
+        error: {
+          success: false,
+          error: 'Request changed',
+          message: 'The request was updated by someone else - reload it and try again'
+        }
+      };
+    }
+
+    await this.logEvent(request.requestId, request.status, to, actor, reason);
+    await this.mirrorStatus(request.studentId, to);
+
+    return { request: this.toRequest(data) };
+  }
+
+  /**
+   * Amend the details of a request that has not been approved yet.
+   * details has the same shape as for submit, plus course/company names to show in the change log.
+   * Returns { request, changes } or { status, error } with the HTTP status and error body to send.
+   */
+  static async amend(request, details, actor) {
+    if (!EDITABLE_STATES.includes(request.status)) {
+      return {
+        status: 409,
+        error: {
+          success: false,
+          error: 'Request can no longer be changed',
+          message: `A ${request.status.replace('_', ' ')} request cannot be amended`,
+          currentStatus: request.status
+        }
+      };
+    }
+
+    const changes = {};
+    const updates = {};
+
+    for (const [field, column] of Object.entries(AMENDABLE_FIELDS)) {
+      if (details[field] === undefined || String(details[field]) === String(request[field])) {
+        continue;
+      }
+
+      updates[column] = details[field];
+
+      // Course and company changes are logged by name, which is what the reviewer recognises
+      if (field === 'courseId') {
+        changes.course = { from: request.course, to: details.course };
+      } else if (field === 'companyId') {
+        changes.company = { from: request.company, to: details.company };
+      } else {
+        changes[field] = { from: request[field], to: details[field] };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return {
+        status: 400,
+        error: {
+          success: false,
+          error: 'No changes',
+          message: 'The amendment does not change anything in the request'
+        }
+      };
+    }
+
+    const amendedAt = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('certificate_requests')
+      .update({ ...updates, amended_at: amendedAt })
+      .eq('request_id', request.requestId)
+      .eq('status', request.status)
+      .select(REQUEST_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to amend certificate request: ${error.message}`);
+    }
+
+    if (!data) {
+      return {
+        status: 409,
+        error: {
+          success: false,
+          error: 'Request changed',
+          message: 'The request was reviewed while you were editing it - reload it and try again'
+        }
+      };
+    }
+
+    const { error: amendmentError } = await supabase
+      .from('certificate_request_amendments')
+      .insert({
+        request_id: request.requestId,
+        changes,
+        actor_role: actor.role,
+        actor_id: actor.id === undefined || actor.id === null ? null : String(actor.id),
+        created_at: amendedAt
+      });
+
+    if (amendmentError) {
+      throw new Error(`Failed to record certificate request amendment: ${amendmentError.message}`);
+    }
+
+    return { request: this.toRequest(data), changes };
+  }
+
+  /**
+   * Approve a request, then copy its details onto the student row (assigning a certificate ID if the
+   * student has none yet) so the certificate is generated from what was approved. The details come
+   * from the row the approval updated, never from the copy the admin loaded, and nothing is copied
+   * if the request was rejected, withdrawn or amended in the meantime.
+   */
+  static async approve(request, { actor, certificateId }) {
+    const { request: approved, status, error: transitionError } = await this.transition(request, 'approved', { actor });
+    if (transitionError) {
+      return { status, error: transitionError };
+    }
+
+    const { error } = await supabase
+      .from('students')
+      .update({
+        preferred_name: approved.preferredName,
+        course_id: approved.courseId,
+        company_id: approved.companyId,
+        internship_start_date: approved.internshipStartDate,
+        internship_end_date: approved.internshipEndDate,
+        internship_duration: approved.internshipDuration,
+        certificate_id: certificateId
+      })
+      .eq('student_id', approved.studentId);
+
+    if (error) {
+      throw new Error(`Failed to apply certificate request: ${error.message}`);
+    }
+
+    return { request: approved };
+  }
+
+  /**
+   * Check that a student's certificate may be generated: their latest request, if they have one,
+   * must be approved (or revoked/generated, for a reissue). Returns the request or null.
+   */
+  static async assertGeneratable(studentId) {
+    const request = await this.findLatestForStudent(studentId);
+
+    if (request && !['approved', 'generated', 'revoked'].includes(request.status)) {
+      const error = new Error(`The student's certificate request is ${request.status.replace('_', ' ')} - it must be approved before a certificate is generated`);
+      error.code = 'REQUEST_NOT_APPROVED';
+      throw error;
+    }
+
+    return request;
+  }
+
+  /**
+   * Record that a student's certificate was generated or revoked on their latest request.
+   * Students without a request (added by an admin) have nothing to update.
+   */
+  static async recordCertificateEvent(studentId, to, { actor = SYSTEM_ACTOR, reason = null } = {}) {
+    const request = await this.findLatestForStudent(studentId);
+
+    if (!request || request.status === to || !this.canTransition(request.status, to)) {
+      return null;
+    }
+
+    const { request: updated, error } = await this.transition(request, to, { actor, reason });
+    if (error) {
+      console.warn(`⚠️ Could not mark certificate request ${request.requestId} as ${to}: ${error.message}`);
+      return null;
+    }
+
+    return updated;
+  }
+}
+
+export default CertificateRequests;
@@ -0,0 +1,433 @@
+import crypto from 'crypto';
+import { PDFDocument } from 'pdf-lib';
+import supabase from '../supabaseClient.js';
+import { getFileStorage } from './storage/index.js';
+import { defaultLayout, validateLayout } from './templateLayout.js';
+
+// Certificate templates: uploaded PDF backgrounds (kept in file storage) with a stored field layout.
+// A student's certificate uses their company's template, else their course's, else the default template.
+
+const TEMPLATE_COLUMNS = `
+  template_id,
+  name,
+  storage_key,
+  checksum,
+  page_width,
+  page_height,
+  layout,
+  is_default,
+  created_at,
+  updated_at
+`;
+
+const FONT_COLUMNS = 'font_id, template_id, name, storage_key, checksum, postscript_name, created_at';
+
+const ASSIGNABLE = {
+  course: { table: 'courses', idField: 'course_id', nameField: 'course_name' },
+  company: { table: 'companies', idField: 'company_id', nameField: 'company_name' }
+};
+
+const MAX_TEMPLATE_BYTES = 10 * 1024 * 1024;
+const MAX_FONT_BYTES = 20 * 1024 * 1024;
+
+class CertificateTemplates {
+  static get maxBytes() {
+    return MAX_TEMPLATE_BYTES;
+  }
+
+  static get maxFontBytes() {
+    return MAX_FONT_BYTES;
+  }
+
+  /**
+   * Load and check an uploaded template PDF.
+   * Returns { width, height } of its first page, or { error } if it is not a usable PDF.
+   */
+  static async inspectPdf(bytes) {
+    if (!Buffer.isBuffer(bytes) || bytes.length === 0) {
+      return { error: 'Upload the template as an application/pdf request body' };
+    }
+
+    try {
+      const pdfDoc = await PDFDocument.load(bytes);
+      if (pdfDoc.getPageCount() === 0) {
+        return { error: 'Template PDF has no pages' };
+      }
+      const { width, height } = pdfDoc.getPages()[0].getSize();
+      return { width, height };
+    } catch (error) {
+      return { error: `Template is not a valid PDF: ${error.message}` };
+    }
+  }
+
+  /**
+   * The layout a template renders with: its stored layout, or the default positions for its page size
+   */
+  static getLayout(template) {
+    return template.layout || defaultLayout(template.page_width, template.page_height);
+  }
+
+  /**
+   * Public view of a template row
+   */
+  static toTemplate(row) {
+    return {
+      templateId: row.template_id,
+      name: row.name,
+      isDefault: row.is_default,
+      pageWidth: row.page_width,
+      pageHeight: row.page_height,
+      checksum: row.checksum,
+      layout: this.getLayout(row),
+      usesDefaultLayout: !row.layout,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static async list() {
+    const { data, error } = await supabase
+      .from('certificate_templates')
+      .select(TEMPLATE_COLUMNS)
+      .order('template_id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list templates: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a template row by ID, or null
+   */
+  static async findById(templateId) {
+    const { data, error } = await supabase
+      .from('certificate_templates')
+      .select(TEMPLATE_COLUMNS)
+      .eq('template_id', templateId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch template: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  static async findDefault() {
+    const { data, error } = await supabase
+      .from('certificate_templates')
+      .select(TEMPLATE_COLUMNS)
+      .eq('is_default', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch default template: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * The template for a student row (with course_id/company_id), or null to use the built-in template file
+   */
+  static async resolveForStudent(student) {
+    for (const [kind, id] of [['company', student.company_id], ['course', student.course_id]]) {
+      if (!id) {
+        continue;
+      }
+
+      const { table, idField } = ASSIGNABLE[kind];
+      const { data, error } = await supabase
+        .from(table)
+        .select('template_id')
+        .eq(idField, id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to look up ${kind} template: ${error.message}`);
+      }
+
+      if (data?.template_id) {
+        return this.findById(data.template_id);
+      }
+    }
+
+    return this.findDefault();
+  }
+
+  /**
+   * Read a template's PDF bytes from file storage
+   */
+  static async loadPdf(template) {
+    return getFileStorage().get(template.storage_key);
+  }
+
+  // Every upload gets its own key, so replacing or deleting one template never touches another's file
+  static async storePdf(bytes) {
+    const checksum = crypto.createHash('sha256').update(bytes).digest('hex');
+    const storageKey = `templates/${crypto.randomUUID()}.pdf`;
+    await getFileStorage().put(storageKey, bytes, { contentType: 'application/pdf' });
+    return { storageKey, checksum };
+  }
+
+  // Only one template can be the default; clear the flag on the others first
+  static async clearDefault(exceptTemplateId) {
+    const { error } = await supabase
+      .from('certificate_templates')
+      .update({ is_default: false })
+      .eq('is_default', true)
+      .neq('template_id', exceptTemplateId);
+
+    if (error) {
+      throw new Error(`Failed to update default template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a template from PDF bytes whose page size has already been checked with inspectPdf()
+   */
+  static async create({ name, bytes, width, height, isDefault = false }) {
+    const { storageKey, checksum } = await this.storePdf(bytes);
+
+    const { data: created, error } = await supabase
+      .from('certificate_templates')
+      .insert({
+        name,
+        storage_key: storageKey,
+        checksum,
+        page_width: width,
+        page_height: height,
+        layout: null,
+        is_default: false
+      })
+      .select('template_id')
+      .single();
+
+    if (error) {
+      await getFileStorage().remove(storageKey).catch(() => {});
+      if (error.code === '23505') {
+        return { conflict: true };
+      }
+      throw new Error(`Failed to create template: ${error.message}`);
+    }
+
+    return { template: isDefault ? await this.update(created.template_id, { is_default: true }) : await this.findById(created.template_id) };
+  }
+
+  /**
+   * Update template columns; setting is_default moves the default flag to this template
+   */
+  static async update(templateId, updates) {
+    if (updates.is_default) {
+      await this.clearDefault(templateId);
+    }
+
+    const { data, error } = await supabase
+      .from('certificate_templates')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('template_id', templateId)
+      .select(TEMPLATE_COLUMNS)
+      .single();
+
+    if (error) {
+      const updateError = new Error(`Failed to update template: ${error.message}`);
+      updateError.code = error.code;
+      throw updateError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace a template's PDF. The stored layout is kept only if it still fits the new page size.
+   */
+  static async replacePdf(template, { bytes, width, height }) {
+    const { storageKey, checksum } = await this.storePdf(bytes);
+    const fontNames = (await this.listFonts(template.template_id)).map(font => font.name);
+    const keepLayout = template.layout && !validateLayout(template.layout, { width, height, fontNames }).error;
+
+    const updated = await this.update(template.template_id, {
+      storage_key: storageKey,
+      checksum,
+      page_width: width,
+      page_height: height,
+      ...(!keepLayout && { layout: null })
+    });
+
+    await getFileStorage().remove(template.storage_key).catch(error => {
+      console.warn(`⚠️ Failed to remove old template file ${template.storage_key}:`, error.message);
+    });
+
+    return { template: updated, layoutReset: !!template.layout && !keepLayout };
+  }
+
+  /**
+   * Courses and companies currently using a template
+   */
+  static async findAssignments(templateId) {
+    const assignments = {};
+
+    for (const [kind, { table, idField, nameField }] of Object.entries(ASSIGNABLE)) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(`${idField}, ${nameField}`)
+        .eq('template_id', templateId);
+
+      if (error) {
+        throw new Error(`Failed to look up ${table} using template: ${error.message}`);
+      }
+
+      assignments[table] = data.map(row => ({ id: row[idField], name: row[nameField] }));
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Delete a template with its PDF and fonts (callers check it is unused first)
+   */
+  static async remove(template) {
+    for (const font of await this.listFonts(template.template_id)) {
+      await this.removeFont(font);
+    }
+
+    const { error } = await supabase
+      .from('certificate_templates')
+      .delete()
+      .eq('template_id', template.template_id);
+
+    if (error) {
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+
+    await getFileStorage().remove(template.storage_key).catch(error => {
+      console.warn(`⚠️ Failed to remove template file ${template.storage_key}:`, error.message);
+    });
+  }
+
+  /**
+   * Public view of a template font row
+   */
+  static toFont(row) {
+    return {
+      fontId: row.font_id,
+      name: row.name,
+      postscriptName: row.postscript_name,
+      checksum: row.checksum,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Custom fonts registered for a template, in upload order (which is also the fallback order)
+   */
+  static async listFonts(templateId) {
+    const { data, error } = await supabase
+      .from('template_fonts')
+      .select(FONT_COLUMNS)
+      .eq('template_id', templateId)
+      .order('font_id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list template fonts: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Load a template's fonts with their bytes: [{ name, bytes }]
+   */
+  static async loadFonts(templateId) {
+    const fonts = await this.listFonts(templateId);
+    const storage = getFileStorage();
+
+    return Promise.all(fonts.map(async font => ({ name: font.name, bytes: await storage.get(font.storage_key) })));
+  }
+
+  /**
+   * Register a font file for a template under a name layouts can refer to
+   */
+  static async addFont(templateId, { name, bytes, postscriptName, extension }) {
+    const checksum = crypto.createHash('sha256').update(bytes).digest('hex');
+    const storageKey = `fonts/${crypto.randomUUID()}.${extension}`;
+    await getFileStorage().put(storageKey, bytes, { contentType: `font/${extension}` });
+
+    const { data, error } = await supabase
+      .from('template_fonts')
+      .insert({
+        template_id: templateId,
+        name,
+        storage_key: storageKey,
+        checksum,
+        postscript_name: postscriptName
+      })
+      .select(FONT_COLUMNS)
+      .single();
+
+    if (error) {
+      await getFileStorage().remove(storageKey).catch(() => {});
+      if (error.code === '23505') {
+        return { conflict: true };
+      }
+      throw new Error(`Failed to register font: ${error.message}`);
+    }
+
+    return { font: data };
+  }
+
+  static async findFont(templateId, fontId) {
+    const { data, error } = await supabase
+      .from('template_fonts')
+      .select(FONT_COLUMNS)
+      .eq('template_id', templateId)
+      .eq('font_id', fontId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch template font: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  static async removeFont(font) {
+    const { error } = await supabase
+      .from('template_fonts')
+      .delete()
+      .eq('font_id', font.font_id);
+
+    if (error) {
+      throw new Error(`Failed to delete template font: ${error.message}`);
+    }
+
+    await getFileStorage().remove(font.storage_key).catch(error => {
+      console.warn(`⚠️ Failed to remove font file ${font.storage_key}:`, error.message);
+    });
+  }
+
+  /**
+   * Point a course or company at a template (null to fall back to the default).
+   * Returns the updated row, or null if the course/company does not exist.
+   */
+  static async assign(kind, id, templateId) {
+    const { table, idField, nameField } = ASSIGNABLE[kind];
+
+    const { data, error } = await supabase
+      .from(table)
+      .update({ template_id: templateId })
+      .eq(idField, id)
+      .select(`${idField}, ${nameField}, template_id`)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to assign template to ${kind}: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default CertificateTemplates;
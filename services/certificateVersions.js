@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import supabase from '../supabaseClient.js';
+import CertificateRequests from './certificateRequests.js';
+
+// Version history of issued certificates. Each generated PDF is a version with its own certificate_id;
+// the student row points at the current one. Older versions stay here as 'superseded' (replaced by a
+// reissue) or 'revoked' (withdrawn by an admin), and their IDs are never handed out again.
+
+const VERSION_COLUMNS = `
+  version_id,
+  student_id,
+  version,
+  certificate_id,
+  status,
+  checksum,
+  signed,
+  template_id,
+  details,
+  generated_at,
+  superseded_at,
+  revoked_at,
+  revocation_reason,
+  revoked_by,
+  reissue_reason
+`;
+
+const CERTIFICATE_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const CERTIFICATE_ID_LENGTH = 8;
+const MAX_ID_ATTEMPTS = 10;
+const MAX_REASON_LENGTH = 500;
+
+function randomCertificateId() {
+  let result = '';
+  for (let i = 0; i < CERTIFICATE_ID_LENGTH; i++) {
+    result += CERTIFICATE_ID_CHARS.charAt(crypto.randomInt(CERTIFICATE_ID_CHARS.length));
+  }
+  return result;
+}
+
+class CertificateVersions {
+  static get maxReasonLength() {
+    return MAX_REASON_LENGTH;
+  }
+
+  /**
+   * Public view of a version row
+   */
+  static toVersion(row) {
+    return {
+      version: row.version,
+      certificateId: row.certificate_id,
+      status: row.status,
+      signed: row.signed,
+      templateId: row.template_id,
+      details: row.details,
+      generatedAt: row.generated_at,
+      supersededAt: row.superseded_at,
+      revokedAt: row.revoked_at,
+      revocationReason: row.revocation_reason,
+      revokedBy: row.revoked_by,
+      reissueReason: row.reissue_reason
+    };
+  }
+
+  /**
+   * What a version printed, kept so old versions verify with the details they were issued with
+   */
+  static getDetails(student) {
+    return {
+      preferredName: student.preferred_name,
+      course: student.course_name,
+      company: student.company_name,
+      internshipStartDate: student.internship_start_date,
+      internshipEndDate: student.internship_end_date
+    };
+  }
+
+  /**
+   * Whether a certificate ID has ever been given to a student or issued as a version
+   */
+  static async isCertificateIdTaken(certificateId) {
+    const [students, versions] = await Promise.all([
+      supabase.from('students').select('student_id', { count: 'exact', head: true }).eq('certificate_id', certificateId),
+      supabase.from('certificate_versions').select('version_id', { count: 'exact', head: true }).eq('certificate_id', certificateId)
+    ]);
+
+    const error = students.error || versions.error;
+    if (error) {
+      throw new Error(`Failed to check certificate ID: ${error.message}`);
+    }
+
+    return students.count > 0 || versions.count > 0;
+  }
+
+  /**
+   * A new certificate ID that no student or earlier version has used
+   */
+  static async generateCertificateId() {
+    for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+      const certificateId = randomCertificateId();
+      if (!(await this.isCertificateIdTaken(certificateId))) {
+        return certificateId;
+      }
+    }
+
+    throw new Error('Could not generate an unused certificate ID');
+  }
+
+  /**
+   * All versions of a student's certificate, newest first
+   */
+  static async list(studentId) {
+    const { data, error } = await supabase
+      .from('certificate_versions')
+      .select(VERSION_COLUMNS)
+      .eq('student_id', studentId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load certificate versions: ${error.message}`);
+    }
+
+    return data.map(row => this.toVersion(row));
+  }
+
+  static async findBy(column, value) {
+    const { data, error } = await supabase
+      .from('certificate_versions')
+      .select(VERSION_COLUMNS)
+      .eq(column, value)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up certificate version: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * The version row issued with a certificate ID, or null
+   */
+  static async findByCertificateId(certificateId) {
+    return this.findBy('certificate_id', certificateId);
+  }
+
+  /**
+   * The version row whose PDF has this SHA-256 checksum, or null
+   */
+  static async findByChecksum(checksum) {
+    return this.findBy('checksum', checksum);
+  }
+
+  /**
+   * Record a newly generated certificate as the student's next (active) version. endDateCorrection
+   * ({ from, to }) is kept in the details when the stored internship end date was recomputed.
+   */
+  static async record(student, {
+    certificateId, storageKey, checksum, signed, templateId, generatedAt, reissueReason = null, endDateCorrection = null
+  }) {
+    const { data: latest, error: latestError } = await supabase
+      .from('certificate_versions')
+      .select('version')
+      .eq('student_id', student.student_id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) {
+      throw new Error(`Failed to load certificate versions: ${latestError.message}`);
+    }
+
+    const { data, error } = await supabase
+      .from('certificate_versions')
+      .insert({
+        student_id: student.student_id,
+        version: (latest?.version || 0) + 1,
+        certificate_id: certificateId,
+        status: 'active',
+        storage_key: storageKey,
+        checksum,
+        signed,
+        template_id: templateId,
+        details: {
+          ...this.getDetails(student),
+          ...(endDateCorrection && { internshipEndDateCorrection: endDateCorrection })
+        },
+        generated_at: generatedAt,
+        reissue_reason: reissueReason
+      })
+      .select(VERSION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record certificate version: ${error.message}`);
+    }
+
+    return this.toVersion(data);
+  }
+
+  /**
+   * Mark a student's active version as superseded (a revoked version stays revoked).
+   * Returns the certificate ID that was superseded, or null if there was no active version.
+   */
+  static async supersede(studentId) {
+    const { data, error } = await supabase
+      .from('certificate_versions')
+      .update({ status: 'superseded', superseded_at: new Date().toISOString() })
+      .eq('student_id', studentId)
+      .eq('status', 'active')
+      .select('certificate_id');
+
+    if (error) {
+      throw new Error(`Failed to supersede certificate version: ${error.message}`);
+    }
+
+    return data[0]?.certificate_id || null;
+  }
+
+  /**
+   * Put a superseded version back to active (used when a reissue fails part way)
+   */
+  static async restore(certificateId) {
+    const { error } = await supabase
+      .from('certificate_versions')
+      .update({ status: 'active', superseded_at: null })
+      .eq('certificate_id', certificateId)
+      .eq('status', 'superseded');
+
+    if (error) {
+      throw new Error(`Failed to restore certificate version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a student's current certificate.
+   * Returns { version } or { status, error } with the HTTP status and error body to send.
+   */
+  static async revoke(studentId, { reason, revokedBy }) {
+    const { data: student, error: fetchError } = await supabase
+      .from('students')
+      .select('student_id, certificate_id, certificate_generated_at, certificate_revoked_at')
+      .eq('student_id', studentId)
+      .eq('deleted', false)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch student: ${fetchError.message}`);
+    }
+
+    if (!student) {
+      return { status: 404, error: { success: false, error: 'Student not found' } };
+    }
+
+    if (!student.certificate_generated_at) {
+      return {
+        status: 409,
+        error: { success: false, error: 'No certificate issued', message: 'This student has no generated certificate to revoke' }
+      };
+    }
+
+    if (student.certificate_revoked_at) {
+      return {
+        status: 409,
+        error: { success: false, error: 'Certificate already revoked', message: 'Reissue the certificate to give the student a valid one' }
+      };
+    }
+
+    const revokedAt = new Date().toISOString();
+
+    // Only the certificate checked above is revoked; a concurrent revoke or reissue gets a 409
+    const { data: revoked, error: studentError } = await supabase
+      .from('students')
+      .update({ certificate_revoked_at: revokedAt, certificate_revocation_reason: reason })
+      .eq('student_id', studentId)
+      .eq('certificate_id', student.certificate_id)
+      .is('certificate_revoked_at', null)
+      .select('student_id');
+
+    if (studentError) {
+      throw new Error(`Failed to revoke certificate: ${studentError.message}`);
+    }
+
+    if (revoked.length === 0) {
+      return {
+        status: 409,
+        error: {
+          success: false,
+          error: 'Certificate changed',
+          message: 'The certificate was revoked or reissued by someone else - reload it and try again'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('certificate_versions')
+      .update({
+        status: 'revoked',
+        revoked_at: revokedAt,
+        revocation_reason: reason,
+        revoked_by: revokedBy === undefined || revokedBy === null ? null : String(revokedBy)
+      })
+      .eq('certificate_id', student.certificate_id)
+      .select(VERSION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to revoke certificate version: ${error.message}`);
+    }
+
+    await CertificateRequests.recordCertificateEvent(studentId, 'revoked', {
+      actor: { role: 'admin', id: revokedBy },
+      reason
+    });
+
+    return {
+      version: data ? this.toVersion(data) : { certificateId: student.certificate_id, status: 'revoked', revokedAt, revocationReason: reason }
+    };
+  }
+}
+
+export default CertificateVersions;
@@ -0,0 +1,19 @@
+// Development-only features: echoing generated OTPs in API responses and the fake SMS inbox
+// (DEV_MODE also makes the mock SMS provider the default).
+// DEV_MODE only takes effect when NODE_ENV is "development" or "test"; anywhere else the
+// server refuses to start rather than silently exposing OTPs.
+const DEV_MODE_ENVIRONMENTS = ['development', 'test'];
+
+const devModeRequested = process.env.DEV_MODE === 'true';
+
+if (devModeRequested && !DEV_MODE_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  throw new Error(`DEV_MODE=true is only allowed when NODE_ENV is one of: ${DEV_MODE_ENVIRONMENTS.join(', ')}`);
+}
+
+if (devModeRequested) {
+  console.warn('⚠️ DEV_MODE is enabled - OTPs are echoed in responses and SMS default to the mock provider');
+}
+
+export function isDevMode() {
+  return devModeRequested;
+}
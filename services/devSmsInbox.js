@@ -0,0 +1,44 @@
+// In-memory fake SMS inbox used in DEV_MODE instead of a real SMS gateway
+const MAX_MESSAGES = 200;
+
+const messages = [];
+
+class DevSmsInbox {
+  /**
+   * Capture an outgoing SMS
+   */
+  static record(phoneNumber, message) {
+    const entry = {
+      id: messages.length ? messages[messages.length - 1].id + 1 : 1,
+      phoneNumber,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    messages.push(entry);
+    if (messages.length > MAX_MESSAGES) {
+      messages.shift();
+    }
+
+    console.log(`📥 [Dev Inbox] SMS captured for ${phoneNumber}`);
+    return entry;
+  }
+
+  /**
+   * List captured messages, newest first, optionally for one phone number
+   */
+  static list(phoneNumber = null) {
+    return messages
+      .filter(entry => !phoneNumber || entry.phoneNumber === phoneNumber)
+      .reverse();
+  }
+
+  /**
+   * Remove all captured messages
+   */
+  static clear() {
+    messages.length = 0;
+  }
+}
+
+export default DevSmsInbox;
@@ -0,0 +1,75 @@
+import fontkit from '@pdf-lib/fontkit';
+import { StandardFontEmbedder } from 'pdf-lib';
+
+// Which fonts can print which characters. The built-in PDF fonts only cover WinAnsi (Latin-1 plus a
+// few extras), so names in Devanagari, Tamil and other scripts need an uploaded TTF/OTF font.
+
+/**
+ * Parse uploaded font bytes.
+ * Returns { font } (a fontkit font) or { error } if it is not a single TrueType/OpenType font.
+ */
+export function parseFont(bytes) {
+  try {
+    const font = fontkit.create(bytes);
+    if (font.fonts) {
+      return { error: 'Font collections (.ttc) are not supported - upload a single .ttf or .otf font' };
+    }
+    if (font.constructor.name !== 'TTFFont') {
+      return { error: 'Only .ttf and .otf fonts are supported (not WOFF/WOFF2)' };
+    }
+    if (!font.numGlyphs) {
+      return { error: 'Font has no glyphs' };
+    }
+    return { font };
+  } catch (error) {
+    return { error: `Not a TrueType/OpenType font: ${error.message}` };
+  }
+}
+
+/**
+ * Build a (codePoint) => boolean check for a standard font name or parsed custom font
+ */
+export function createCoverageCheck(font) {
+  if (typeof font === 'string') {
+    const embedder = StandardFontEmbedder.for(font);
+    return (codePoint) => {
+      try {
+        embedder.encodeText(String.fromCodePoint(codePoint));
+        return true;
+      } catch {
+        return false;
+      }
+    };
+  }
+
+  return (codePoint) => font.hasGlyphForCodePoint(codePoint);
+}
+
+/**
+ * Distinct printable characters of a text (whitespace never needs a glyph check)
+ */
+function charactersOf(text) {
+  return [...new Set(Array.from(text))].filter(char => !/\s/.test(char));
+}
+
+/**
+ * Pick the first font in the chain that can print every character of the text.
+ * chain is [{ name, covers }]. Returns { name } or { missing } with the characters the
+ * best-covering font cannot print.
+ */
+export function pickFont(text, chain) {
+  const characters = charactersOf(text);
+  let best = null;
+
+  for (const { name, covers } of chain) {
+    const missing = characters.filter(char => !covers(char.codePointAt(0)));
+    if (missing.length === 0) {
+      return { name };
+    }
+    if (!best || missing.length < best.missing.length) {
+      best = { name, missing };
+    }
+  }
+
+  return { missing: best ? best.missing : characters };
+}
@@ -0,0 +1,97 @@
+// Internship start dates and durations, as submitted in certificate requests and printed on certificates.
+//
+// Start dates are ISO calendar dates (YYYY-MM-DD) and durations whole months. The end date is the start
+// date plus the duration, clamped to the end of the month when the start day does not exist there:
+// 2025-01-31 + 1 month is 2025-02-28, not 2025-03-03 as Date#setMonth would give.
+//
+// Validation returns every problem at once as [{ field, message }] so clients can show them per field.
+
+export const MIN_DURATION_MONTHS = 1;
+export const MAX_DURATION_MONTHS = 24;
+
+// Dates are checked as calendar dates: "today" is the latest date anywhere (UTC+14), so a student
+// ahead of UTC can always enter their own today's date
+const LATEST_TIMEZONE_OFFSET_MS = 14 * 60 * 60 * 1000;
+const EARLIEST_START_YEAR = 2000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date, or null if it is not a real calendar date
+ */
+export function parseIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+/**
+ * YYYY-MM-DD of a UTC date
+ */
+export function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months to a UTC date, clamping to the last day of the target month
+ */
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Parse a duration in months given as an integer or a string of digits, or null if it is not one
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return parseInt(value.trim(), 10);
+  }
+  return null;
+}
+
+function latestToday(now) {
+  return formatIsoDate(new Date(now.getTime() + LATEST_TIMEZONE_OFFSET_MS));
+}
+
+/**
+ * Validate a requested start date and duration and compute the end date.
+ * Returns { internship: { startDate, endDate, duration } } (dates as YYYY-MM-DD) or { errors }.
+ */
+export function validateInternship({ internship_start_date, internship_duration }, { now = new Date() } = {}) {
+  const errors = [];
+
+  const start = parseIsoDate(internship_start_date);
+  if (!start) {
+    errors.push({ field: 'internship_start_date', message: 'Start date must be a valid date in YYYY-MM-DD format' });
+  } else if (start.getUTCFullYear() < EARLIEST_START_YEAR) {
+    errors.push({ field: 'internship_start_date', message: `Start date must not be before ${EARLIEST_START_YEAR}` });
+  } else if (internship_start_date > latestToday(now)) {
+    errors.push({ field: 'internship_start_date', message: 'Start date cannot be in the future' });
+  }
+
+  const duration = parseDuration(internship_duration);
+  if (duration === null || duration < MIN_DURATION_MONTHS || duration > MAX_DURATION_MONTHS) {
+    errors.push({
+      field: 'internship_duration',
+      message: `Duration must be a whole number of months between ${MIN_DURATION_MONTHS} and ${MAX_DURATION_MONTHS}`
+    });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    internship: {
+      startDate: internship_start_date,
+      endDate: formatIsoDate(addMonths(start, duration)),
+      duration
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import Mailer from './Mailer.js';
+
+/**
+ * Development/test mailer: writes each email as an .eml file into MAIL_DROP_DIR
+ * instead of sending it.
+ */
+class FileDropMailer extends Mailer {
+  constructor(config = {}) {
+    super('file');
+    this.directory = config.directory || process.env.MAIL_DROP_DIR || path.join(os.tmpdir(), 'certificate-hub-mail');
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(this.directory, `${messageId}.eml`);
+      const contents = [
+        `From: ${this.from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text,
+        ''
+      ].join('\r\n');
+
+      await fs.writeFile(filePath, contents);
+
+      console.log(`📥 [File Mailer] Email to ${to} written to ${filePath}`);
+      return {
+        success: true,
+        provider: this.name,
+        message: `Email written to ${filePath}`,
+        messageId
+      };
+    } catch (error) {
+      console.error('📧 [File Mailer] Email capture error:', error);
+      return {
+        success: false,
+        provider: this.name,
+        error: `Failed to write email: ${error.message}`,
+        exception: error.name
+      };
+    }
+  }
+}
+
+export default FileDropMailer;
@@ -0,0 +1,21 @@
+/**
+ * Base class for mailers.
+ *
+ * send() never throws for delivery problems; it resolves to
+ * { success, provider, messageId?, error? } so callers can log and react.
+ */
+class Mailer {
+  constructor(name) {
+    this.name = name;
+    this.from = process.env.MAIL_FROM || 'Certificate Hub <no-reply@localhost>';
+  }
+
+  /**
+   * Send a plain-text email: { to, subject, text }
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
+
+export default Mailer;
@@ -0,0 +1,50 @@
+import nodemailer from 'nodemailer';
+import Mailer from './Mailer.js';
+
+/**
+ * SMTP mailer, configured from SMTP_* env vars
+ */
+class SmtpMailer extends Mailer {
+  constructor(config = {}) {
+    super('smtp');
+
+    const host = config.host || process.env.SMTP_HOST;
+    if (!host) {
+      throw new Error('SMTP mailer is not configured (missing SMTP_HOST)');
+    }
+
+    const port = parseInt(config.port || process.env.SMTP_PORT || '587', 10);
+    const user = config.user || process.env.SMTP_USER;
+
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure: (config.secure ?? process.env.SMTP_SECURE) === 'true' || port === 465,
+      auth: user ? { user, pass: config.pass || process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      const info = await this.transport.sendMail({ from: this.from, to, subject, text });
+
+      console.log(`✅ [SMTP] Email sent successfully to ${to}`);
+      return {
+        success: true,
+        provider: this.name,
+        message: `Email sent successfully to ${to}`,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error(`📧 [SMTP] Email Service Error: ${error.message}`);
+      return {
+        success: false,
+        provider: this.name,
+        error: `Failed to send email: ${error.message}`,
+        exception: error.name
+      };
+    }
+  }
+}
+
+export default SmtpMailer;
@@ -0,0 +1,44 @@
+import SmtpMailer from './SmtpMailer.js';
+import FileDropMailer from './FileDropMailer.js';
+import { isDevMode } from '../devMode.js';
+
+const MAILERS = {
+  smtp: SmtpMailer,
+  file: FileDropMailer
+};
+
+const DEFAULT_OTP_SUBJECT = 'Your Certificate Hub login code';
+const DEFAULT_OTP_TEMPLATE = 'Your OTP for authentication is {otp}. It expires in 10 minutes. Do not share it with anybody.';
+
+let defaultMailer = null;
+
+/**
+ * Create a mailer by name ("smtp" or "file")
+ */
+export function createMailer(name) {
+  const Mailer = MAILERS[name];
+  if (!Mailer) {
+    throw new Error(`Unknown mailer "${name}". Available mailers: ${Object.keys(MAILERS).join(', ')}`);
+  }
+  return new Mailer();
+}
+
+/**
+ * The mailer selected by MAILER (defaults to "file" in DEV_MODE, otherwise "smtp")
+ */
+export function getMailer() {
+  if (!defaultMailer) {
+    defaultMailer = createMailer(process.env.MAILER || (isDevMode() ? 'file' : 'smtp'));
+  }
+  return defaultMailer;
+}
+
+/**
+ * Render the OTP email from MAIL_OTP_SUBJECT / MAIL_OTP_TEMPLATE, replacing {otp} with the code
+ */
+export function renderOtpEmail(otp) {
+  return {
+    subject: process.env.MAIL_OTP_SUBJECT || DEFAULT_OTP_SUBJECT,
+    text: (process.env.MAIL_OTP_TEMPLATE || DEFAULT_OTP_TEMPLATE).replace(/\{otp\}/g, otp)
+  };
+}
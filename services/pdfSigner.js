@@ -0,0 +1,105 @@
+import fs from 'fs';
+import forge from 'node-forge';
+import signpdfModule from '@signpdf/signpdf';
+import { P12Signer } from '@signpdf/signer-p12';
+import { pdflibAddPlaceholder } from '@signpdf/placeholder-pdf-lib';
+
+// Digital signatures for issued certificates: a PKCS#7 detached signature embedded in the PDF,
+// made with the organisation's X.509 certificate so PDF readers show who signed it and flag edits.
+//
+// Configure either a PKCS#12 bundle:
+//   CERTIFICATE_SIGNING_P12_PATH, CERTIFICATE_SIGNING_PASSPHRASE
+// or PEM files (the certificate file may contain the chain after the signing certificate):
+//   CERTIFICATE_SIGNING_CERT_PATH, CERTIFICATE_SIGNING_KEY_PATH, CERTIFICATE_SIGNING_PASSPHRASE (if the key is encrypted)
+
+const signpdf = signpdfModule.default || signpdfModule;
+
+// Room reserved in the PDF for the signature; large enough for an RSA-4096 certificate with a chain
+const SIGNATURE_LENGTH = 16384;
+
+function getSignatureDetails() {
+  return {
+    name: process.env.CERTIFICATE_SIGNING_NAME || 'Certificate Hub',
+    reason: process.env.CERTIFICATE_SIGNING_REASON || 'Certificate of internship completion',
+    location: process.env.CERTIFICATE_SIGNING_LOCATION || '',
+    contactInfo: process.env.CERTIFICATE_SIGNING_CONTACT || ''
+  };
+}
+
+let signer = null;
+
+// Bundle a PEM certificate chain and private key into a PKCS#12 file for the signer
+function pemToP12(certificatePem, keyPem, passphrase) {
+  const certificates = certificatePem
+    .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+    ?.map(pem => forge.pki.certificateFromPem(pem));
+
+  if (!certificates) {
+    throw new Error('CERTIFICATE_SIGNING_CERT_PATH does not contain a PEM certificate');
+  }
+
+  const privateKey = /ENCRYPTED/.test(keyPem)
+    ? forge.pki.decryptRsaPrivateKey(keyPem, passphrase)
+    : forge.pki.privateKeyFromPem(keyPem);
+
+  if (!privateKey) {
+    throw new Error('Could not decrypt the signing key - check CERTIFICATE_SIGNING_PASSPHRASE');
+  }
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, certificates, passphrase, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), 'binary');
+}
+
+class PdfSigner {
+  /**
+   * Whether a signing certificate is configured
+   */
+  static isConfigured() {
+    return !!(process.env.CERTIFICATE_SIGNING_P12_PATH || process.env.CERTIFICATE_SIGNING_CERT_PATH);
+  }
+
+  /**
+   * Whether certificates must be signed (generation fails instead of issuing unsigned PDFs)
+   */
+  static isRequired() {
+    return process.env.CERTIFICATE_SIGNING_REQUIRED === 'true';
+  }
+
+  static getSigner() {
+    if (!signer) {
+      const passphrase = process.env.CERTIFICATE_SIGNING_PASSPHRASE || '';
+
+      const p12 = process.env.CERTIFICATE_SIGNING_P12_PATH
+        ? fs.readFileSync(process.env.CERTIFICATE_SIGNING_P12_PATH)
+        : pemToP12(
+          fs.readFileSync(process.env.CERTIFICATE_SIGNING_CERT_PATH, 'utf8'),
+          fs.readFileSync(process.env.CERTIFICATE_SIGNING_KEY_PATH, 'utf8'),
+          passphrase
+        );
+
+      signer = new P12Signer(p12, { passphrase });
+    }
+    return signer;
+  }
+
+  /**
+   * Reserve the signature field in a pdf-lib document. Call before saving it.
+   */
+  static addPlaceholder(pdfDoc) {
+    pdflibAddPlaceholder({
+      pdfDoc,
+      ...getSignatureDetails(),
+      signatureLength: SIGNATURE_LENGTH,
+      appName: 'Certificate Hub'
+    });
+  }
+
+  /**
+   * Sign a PDF that has a placeholder; returns the signed PDF bytes
+   */
+  static async sign(pdfBytes) {
+    return signpdf.sign(Buffer.from(pdfBytes), this.getSigner());
+  }
+}
+
+export default PdfSigner;
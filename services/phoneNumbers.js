@@ -0,0 +1,41 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+// Country assumed for numbers entered without a +country code (ISO 3166-1 alpha-2)
+export const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'IN';
+
+// Number types that can receive an SMS (some countries cannot tell mobile and fixed line apart)
+const SMS_CAPABLE_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE', undefined];
+
+/**
+ * Parse a phone number, returning null if it is not a valid mobile number
+ */
+export function parseMobileNumber(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+
+  const phoneNumber = parsePhoneNumberFromString(String(input).trim(), defaultCountry);
+
+  if (!phoneNumber || !phoneNumber.isValid() || !SMS_CAPABLE_TYPES.includes(phoneNumber.getType())) {
+    return null;
+  }
+
+  return phoneNumber;
+}
+
+/**
+ * Normalize a phone number to E.164 (e.g. "98765 43210" -> "+919876543210"), or null if invalid
+ */
+export function normalizePhoneNumber(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  return parseMobileNumber(input, defaultCountry)?.number || null;
+}
+
+/**
+ * Check whether a phone number is a valid mobile number for its country
+ */
+export function isValidPhoneNumber(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  return parseMobileNumber(input, defaultCountry) !== null;
+}
+
+export const INVALID_PHONE_MESSAGE =
+  `Phone number must be a valid mobile number (include the +country code for numbers outside ${DEFAULT_PHONE_COUNTRY})`;
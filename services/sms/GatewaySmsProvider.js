@@ -0,0 +1,110 @@
+import fetch from 'node-fetch';
+import SmsProvider from './SmsProvider.js';
+import { parseMobileNumber } from '../phoneNumbers.js';
+
+/**
+ * HTTP SMS gateway (DLT-registered sender), configured from SMS_GATEWAY_* env vars
+ */
+class GatewaySmsProvider extends SmsProvider {
+  constructor(config = {}) {
+    super('gateway');
+
+    this.config = {
+      baseUrl: config.baseUrl || process.env.SMS_GATEWAY_URL,
+      secret: config.secret || process.env.SMS_GATEWAY_SECRET,
+      sender: config.sender || process.env.SMS_GATEWAY_SENDER,
+      templateId: config.templateId || process.env.SMS_GATEWAY_TEMPLATE_ID,
+      route: config.route || process.env.SMS_GATEWAY_ROUTE || 'TA',
+      msgtype: config.msgtype || process.env.SMS_GATEWAY_MSGTYPE || '1',
+      // OTPs are sent on the request path, so a hung gateway is abandoned (and retried) quickly
+      timeoutMs: config.timeoutMs || parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS || '3000', 10),
+      // The gateway takes national numbers and only delivers within this country
+      country: config.country || process.env.SMS_GATEWAY_COUNTRY || 'IN'
+    };
+
+    const missing = ['baseUrl', 'secret', 'sender', 'templateId'].filter(key => !this.config[key]);
+    if (missing.length > 0) {
+      throw new Error(`SMS gateway is not configured (missing: ${missing.join(', ')})`);
+    }
+  }
+
+  async send(phoneNumber, message) {
+    const destination = parseMobileNumber(phoneNumber, this.config.country);
+
+    if (!destination || destination.country !== this.config.country) {
+      console.log(`❌ [Gateway] ${phoneNumber} is outside the gateway's delivery country (${this.config.country})`);
+      return {
+        success: false,
+        provider: this.name,
+        error: `SMS gateway only delivers to ${this.config.country} mobile numbers`,
+        transient: false
+      };
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
+
+    try {
+      const params = new URLSearchParams({
+        secret: this.config.secret,
+        sender: this.config.sender,
+        tempid: this.config.templateId,
+        receiver: destination.nationalNumber,
+        route: this.config.route,
+        msgtype: this.config.msgtype,
+        sms: message
+      });
+
+      // The URL carries the gateway secret and the message, so it is never logged
+      const response = await fetch(`${this.config.baseUrl}?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'Node.js SMS Service/1.0'
+        },
+        signal: controller.signal
+      });
+
+      const responseText = await response.text();
+      console.log(`📱 [Gateway] SMS API Response Status: ${response.status}`);
+      console.log(`📱 [Gateway] SMS API Response Text: ${responseText}`);
+
+      if (response.status === 200) {
+        console.log(`✅ [Gateway] SMS sent successfully to ${phoneNumber}`);
+        return {
+          success: true,
+          provider: this.name,
+          message: `SMS sent successfully to ${phoneNumber}`,
+          apiResponse: responseText,
+          status: response.status
+        };
+      }
+
+      console.log(`❌ [Gateway] SMS failed for ${phoneNumber}`);
+      return {
+        success: false,
+        provider: this.name,
+        error: `SMS API returned status ${response.status}: ${responseText}`,
+        apiResponse: responseText,
+        status: response.status,
+        transient: true
+      };
+    } catch (error) {
+      // node-fetch puts the request URL (secret and message included) into error.message
+      const reason = error.name === 'AbortError'
+        ? `timed out after ${this.config.timeoutMs}ms`
+        : error.code || error.type || error.name;
+      console.error(`📱 [Gateway] SMS Service Error: ${reason}`);
+      return {
+        success: false,
+        provider: this.name,
+        error: `Failed to send SMS: ${reason}`,
+        exception: error.name,
+        transient: true
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+export default GatewaySmsProvider;
@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import SmsProvider from './SmsProvider.js';
+import DevSmsInbox from '../devSmsInbox.js';
+
+/**
+ * Development/test provider (DEV_MODE only): nothing leaves the machine. Messages are
+ * captured in the fake SMS inbox and, if SMS_MOCK_FILE is set, appended to that file
+ * as JSON lines.
+ */
+class MockSmsProvider extends SmsProvider {
+  constructor(config = {}) {
+    super('mock');
+    this.filePath = config.filePath || process.env.SMS_MOCK_FILE || null;
+  }
+
+  async send(phoneNumber, message) {
+    try {
+      const entry = DevSmsInbox.record(phoneNumber, message);
+
+      if (this.filePath) {
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      }
+
+      return {
+        success: true,
+        provider: this.name,
+        message: `SMS captured by mock provider for ${phoneNumber}`,
+        apiResponse: JSON.stringify({ id: entry.id }),
+        status: 200
+      };
+    } catch (error) {
+      console.error('📱 [Mock] SMS capture error:', error);
+      return {
+        success: false,
+        provider: this.name,
+        error: `Failed to capture SMS: ${error.message}`,
+        exception: error.name
+      };
+    }
+  }
+}
+
+export default MockSmsProvider;
@@ -0,0 +1,164 @@
+import supabase from '../../supabaseClient.js';
+import { getSmsProvider, getFallbackSmsProvider } from './index.js';
+
+// Retry policy for transient provider failures (timeouts included). OTP sends wait for delivery,
+// so the backoff stays short: 250ms then 500ms with the defaults.
+const DELIVERY_POLICY = {
+  maxAttempts: parseInt(process.env.SMS_MAX_ATTEMPTS || '3', 10),
+  backoffMs: parseInt(process.env.SMS_RETRY_BACKOFF_MS || '250', 10)
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SmsDeliveryService {
+  /**
+   * Send an SMS through the primary provider, retrying transient failures with
+   * exponential backoff and then failing over to the fallback provider.
+   * Every delivery is recorded in sms_deliveries.
+   */
+  static async send(phoneNumber, message, template) {
+    const providers = this.resolveProviders();
+    const delivery = await this.createDelivery(phoneNumber, template, providers[0]?.provider?.name);
+
+    const attemptLog = [];
+    let result = null;
+
+    for (const { provider, error } of providers) {
+      if (error) {
+        attemptLog.push({ provider: null, success: false, error, at: new Date().toISOString() });
+        result = { success: false, error };
+        continue;
+      }
+
+      for (let attempt = 1; attempt <= DELIVERY_POLICY.maxAttempts; attempt++) {
+        result = await provider.send(phoneNumber, message);
+        attemptLog.push({
+          provider: provider.name,
+          success: result.success,
+          status: result.status ?? null,
+          error: result.error ?? null,
+          at: new Date().toISOString()
+        });
+
+        if (result.success || !result.transient || attempt === DELIVERY_POLICY.maxAttempts) {
+          break;
+        }
+
+        const delay = DELIVERY_POLICY.backoffMs * 2 ** (attempt - 1);
+        console.log(`🔁 [SMS Delivery] ${provider.name} attempt ${attempt} failed for ${phoneNumber}, retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+
+      if (result.success) {
+        break;
+      }
+
+      console.log(`❌ [SMS Delivery] ${provider.name} failed for ${phoneNumber}`);
+    }
+
+    await this.finishDelivery(delivery, result, attemptLog);
+
+    return {
+      ...result,
+      deliveryId: delivery?.delivery_id ?? null,
+      attempts: attemptLog.length
+    };
+  }
+
+  /**
+   * Primary and fallback providers; a provider that cannot be created is reported as an error entry
+   */
+  static resolveProviders() {
+    const providers = [];
+
+    for (const getProvider of [getSmsProvider, getFallbackSmsProvider]) {
+      try {
+        const provider = getProvider();
+        if (provider && !providers.some(entry => entry.provider === provider)) {
+          providers.push({ provider });
+        }
+      } catch (error) {
+        console.error('📱 [SMS Delivery] Provider unavailable:', error.message);
+        providers.push({ error: error.message });
+      }
+    }
+
+    return providers;
+  }
+
+  static async createDelivery(phoneNumber, template, providerName) {
+    const { data, error } = await supabase
+      .from('sms_deliveries')
+      .insert({
+        phone_number: phoneNumber,
+        template,
+        provider: providerName || null,
+        status: 'pending'
+      })
+      .select('delivery_id')
+      .single();
+
+    // A logging failure must not stop the SMS itself from going out
+    if (error) {
+      console.error('📱 [SMS Delivery] Failed to create delivery record:', error);
+      return null;
+    }
+
+    return data;
+  }
+
+  static async finishDelivery(delivery, result, attemptLog) {
+    if (!delivery) {
+      return;
+    }
+
+    const lastProvider = [...attemptLog].reverse().find(entry => entry.provider)?.provider || null;
+
+    const { error } = await supabase
+      .from('sms_deliveries')
+      .update({
+        provider: lastProvider,
+        status: result?.success ? 'sent' : 'failed',
+        attempts: attemptLog.length,
+        gateway_status: result?.status ?? null,
+        gateway_response: result?.apiResponse ?? null,
+        error: result?.success ? null : result?.error ?? 'No SMS provider available',
+        attempt_log: attemptLog,
+        updated_at: new Date().toISOString()
+      })
+      .eq('delivery_id', delivery.delivery_id);
+
+    if (error) {
+      console.error('📱 [SMS Delivery] Failed to update delivery record:', error);
+    }
+  }
+
+  /**
+   * List recent deliveries, newest first
+   */
+  static async listDeliveries({ status = null, phoneNumber = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('sms_deliveries')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (phoneNumber) {
+      query = query.eq('phone_number', phoneNumber);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch SMS deliveries: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default SmsDeliveryService;
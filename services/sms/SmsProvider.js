@@ -0,0 +1,21 @@
+/**
+ * Base class for SMS providers.
+ *
+ * send() never throws for delivery problems; it resolves to
+ * { success, provider, status?, apiResponse?, error?, transient? } so callers can log and react.
+ * transient marks failures worth retrying (network errors, gateway non-200 responses).
+ */
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a text message to a phone number
+   */
+  async send(phoneNumber, message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
+
+export default SmsProvider;
@@ -0,0 +1,58 @@
+import GatewaySmsProvider from './GatewaySmsProvider.js';
+import MockSmsProvider from './MockSmsProvider.js';
+import { isDevMode } from '../devMode.js';
+
+const PROVIDERS = {
+  gateway: GatewaySmsProvider,
+  mock: MockSmsProvider
+};
+
+const DEFAULT_OTP_TEMPLATE = 'Your OTP for authentication is {otp}. Do not share it with anybody.';
+
+let defaultProvider = null;
+let fallbackProvider;
+
+/**
+ * Create an SMS provider by name ("gateway" or "mock"). The mock provider keeps message
+ * bodies (OTPs included) in the fake inbox, so it is refused outside DEV_MODE.
+ */
+export function createSmsProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (Provider === MockSmsProvider && !isDevMode()) {
+    throw new Error('The mock SMS provider is only available when DEV_MODE=true');
+  }
+  return new Provider();
+}
+
+/**
+ * The provider selected by SMS_PROVIDER (defaults to "mock" in DEV_MODE, otherwise "gateway")
+ */
+export function getSmsProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createSmsProvider(process.env.SMS_PROVIDER || (isDevMode() ? 'mock' : 'gateway'));
+  }
+  return defaultProvider;
+}
+
+/**
+ * The secondary provider selected by SMS_FALLBACK_PROVIDER, or null if none is configured
+ */
+export function getFallbackSmsProvider() {
+  if (fallbackProvider === undefined) {
+    fallbackProvider = process.env.SMS_FALLBACK_PROVIDER
+      ? createSmsProvider(process.env.SMS_FALLBACK_PROVIDER)
+      : null;
+  }
+  return fallbackProvider;
+}
+
+/**
+ * Render the OTP message from SMS_OTP_TEMPLATE, replacing {otp} with the code
+ */
+export function renderOtpMessage(otp) {
+  const template = process.env.SMS_OTP_TEMPLATE || DEFAULT_OTP_TEMPLATE;
+  return template.replace(/\{otp\}/g, otp);
+}
@@ -0,0 +1,44 @@
+/**
+ * Base class for file storage backends (certificate PDFs and other generated files).
+ *
+ * Files are addressed by a relative key such as "certificates/12/AB12CD34.pdf".
+ * Unlike the SMS providers and mailers, storage failures throw: callers cannot
+ * carry on without the file.
+ */
+class FileStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store bytes under a key, replacing any existing file
+   */
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  /**
+   * Read a file as a Buffer; throws if it does not exist
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Delete a file; deleting a missing file is not an error
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  /**
+   * Reject keys that could escape the storage root
+   */
+  static assertValidKey(key) {
+    if (typeof key !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/.test(key) || key.includes('..')) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import FileStorage from './FileStorage.js';
+
+/**
+ * Stores files on the local filesystem under FILE_STORAGE_DIR (default ./storage).
+ */
+class LocalFileStorage extends FileStorage {
+  constructor(config = {}) {
+    super('local');
+    this.directory = path.resolve(config.directory || process.env.FILE_STORAGE_DIR || 'storage');
+  }
+
+  resolve(key) {
+    FileStorage.assertValidKey(key);
+    return path.join(this.directory, key);
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a half-written file under the real key
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+
+    return { key };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`File not found in storage: ${key}`);
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalFileStorage;
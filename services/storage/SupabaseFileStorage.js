@@ -0,0 +1,56 @@
+import supabase from '../../supabaseClient.js';
+import FileStorage from './FileStorage.js';
+
+/**
+ * Stores files in a Supabase Storage bucket (FILE_STORAGE_BUCKET, default "certificates").
+ * Supabase Storage is S3-compatible, so the bucket can also be reached with S3 tooling.
+ * The bucket should be private; files are only served through the API.
+ */
+class SupabaseFileStorage extends FileStorage {
+  constructor(config = {}) {
+    super('supabase');
+    this.bucket = config.bucket || process.env.FILE_STORAGE_BUCKET || 'certificates';
+  }
+
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    FileStorage.assertValidKey(key);
+
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, data, { contentType, upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload ${key} to storage: ${error.message}`);
+    }
+
+    return { key };
+  }
+
+  async get(key) {
+    FileStorage.assertValidKey(key);
+
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      throw new Error(`Failed to download ${key} from storage: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(key) {
+    FileStorage.assertValidKey(key);
+
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) {
+      throw new Error(`Failed to delete ${key} from storage: ${error.message}`);
+    }
+  }
+}
+
+export default SupabaseFileStorage;
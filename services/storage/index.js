@@ -0,0 +1,30 @@
+import LocalFileStorage from './LocalFileStorage.js';
+import SupabaseFileStorage from './SupabaseFileStorage.js';
+
+const STORAGES = {
+  local: LocalFileStorage,
+  supabase: SupabaseFileStorage
+};
+
+let defaultStorage = null;
+
+/**
+ * Create a file storage backend by name ("local" or "supabase")
+ */
+export function createFileStorage(name) {
+  const Storage = STORAGES[name];
+  if (!Storage) {
+    throw new Error(`Unknown file storage "${name}". Available storages: ${Object.keys(STORAGES).join(', ')}`);
+  }
+  return new Storage();
+}
+
+/**
+ * The file storage selected by FILE_STORAGE (defaults to "local")
+ */
+export function getFileStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createFileStorage(process.env.FILE_STORAGE || 'local');
+  }
+  return defaultStorage;
+}
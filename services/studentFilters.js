@@ -0,0 +1,154 @@
+import Catalog from './catalog.js';
+import { REQUEST_STATES, OPEN_STATES } from './certificateRequests.js';
+import { parseIsoDate } from './internshipDates.js';
+import { field, boolean, oneOf, text, idList, isoDate } from '../middleware/validate.js';
+
+// Shared student filters for the admin list and bulk certificate operations.
+// Routes validate the params with STUDENT_FILTER_FIELDS, parse them once into a plain
+// filters object, then apply it to any Supabase query on the students table.
+
+// Request workflow states, plus 'not_requested' and the older 'pending' (any open request)
+// and 'completed' (generated) groupings
+export const REQUEST_STATUSES = ['not_requested', ...REQUEST_STATES, 'pending', 'completed'];
+export const CERTIFICATE_STATES = ['generated', 'not_generated'];
+
+const MAX_STUDENT_IDS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A course or company, given as a numeric ID or an exact name
+function catalogRef(label) {
+  return field(label, (value) => {
+    const ref = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+    return ref ? { value: ref } : { error: `${label} must be an ID or a name` };
+  });
+}
+
+/**
+ * Filter params (eligible, course, company, requestStatus, certificate, search, studentIds,
+ * generatedFrom/generatedTo - an inclusive YYYY-MM-DD range on the certificate generation date),
+ * as fields for validate(). Accepts query strings or the equivalent JSON values.
+ */
+export const STUDENT_FILTER_FIELDS = {
+  eligible: boolean('eligible').optional(),
+  course: catalogRef('course').optional(),
+  company: catalogRef('company').optional(),
+  requestStatus: oneOf('requestStatus', REQUEST_STATUSES).optional(),
+  certificate: oneOf('certificate', CERTIFICATE_STATES).optional(),
+  search: text('search', { min: 2, max: 100 }).optional(),
+  studentIds: idList('studentIds', { max: MAX_STUDENT_IDS }).optional(),
+  generatedFrom: isoDate('generatedFrom').optional(),
+  generatedTo: isoDate('generatedTo').optional()
+};
+
+// Quote a value for use inside a PostgREST `or` filter
+function quoteFilterValue(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Resolve a course/company param given either as a numeric ID or an exact name
+async function resolveCatalogId(value, findByName, idField) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  const row = await findByName(value);
+  return row ? row[idField] : null;
+}
+
+/**
+ * Turn filter params already checked against STUDENT_FILTER_FIELDS into a filters object,
+ * looking up course and company names.
+ * Returns { filters } or { errors } as [{ field, message }] for a 400 response.
+ */
+export async function parseStudentFilters({ course, company, generatedFrom, generatedTo, ...params } = {}) {
+  const filters = Object.fromEntries(
+    Object.entries(params).filter(([key, value]) => value !== undefined && key in STUDENT_FILTER_FIELDS)
+  );
+  const errors = [];
+
+  if (course) {
+    filters.courseId = await resolveCatalogId(course, Catalog.findCourseByName, 'course_id');
+    if (filters.courseId === null) {
+      errors.push({ field: 'course', message: `Unknown course "${course}"` });
+    }
+  }
+
+  if (company) {
+    filters.companyId = await resolveCatalogId(company, Catalog.findCompanyByName, 'company_id');
+    if (filters.companyId === null) {
+      errors.push({ field: 'company', message: `Unknown company "${company}"` });
+    }
+  }
+
+  if (generatedFrom) {
+    filters.generatedFrom = parseIsoDate(generatedFrom);
+  }
+  if (generatedTo) {
+    filters.generatedTo = parseIsoDate(generatedTo);
+  }
+
+  if (filters.generatedFrom && filters.generatedTo && filters.generatedFrom > filters.generatedTo) {
+    errors.push({ field: 'generatedFrom', message: 'generatedFrom must not be after generatedTo' });
+  }
+
+  return errors.length > 0 ? { errors } : { filters };
+}
+
+/**
+ * Apply parsed filters to a Supabase query on the students table (soft-deleted students excluded)
+ */
+export function applyStudentFilters(studentQuery, filters = {}) {
+  let filtered = studentQuery.eq('deleted', false);
+
+  if (filters.studentIds) {
+    filtered = filtered.in('student_id', filters.studentIds);
+  }
+  if (filters.eligible !== undefined) {
+    filtered = filtered.eq('eligible', filters.eligible);
+  }
+  if (filters.courseId) {
+    filtered = filtered.eq('course_id', filters.courseId);
+  }
+  if (filters.companyId) {
+    filtered = filtered.eq('company_id', filters.companyId);
+  }
+
+  // Students carry the status of their latest certificate request (see services/certificateRequests.js)
+  if (filters.requestStatus === 'not_requested') {
+    filtered = filtered.is('certificate_request_status', null);
+  } else if (filters.requestStatus === 'pending') {
+    filtered = filtered.in('certificate_request_status', OPEN_STATES);
+  } else if (filters.requestStatus === 'completed') {
+    filtered = filtered.eq('certificate_request_status', 'generated');
+  } else if (filters.requestStatus) {
+    filtered = filtered.eq('certificate_request_status', filters.requestStatus);
+  }
+
+  if (filters.certificate === 'generated') {
+    filtered = filtered.not('certificate_generated_at', 'is', null);
+  } else if (filters.certificate === 'not_generated') {
+    filtered = filtered.is('certificate_generated_at', null);
+  }
+
+  if (filters.generatedFrom) {
+    filtered = filtered.gte('certificate_generated_at', filters.generatedFrom.toISOString());
+  }
+  if (filters.generatedTo) {
+    filtered = filtered.lt('certificate_generated_at', new Date(filters.generatedTo.getTime() + DAY_MS).toISOString());
+  }
+
+  // Name search is a substring match; phone search ignores spaces and dashes
+  if (filters.search) {
+    const pattern = filters.search.replace(/[%_\\]/g, '\\$&');
+    const conditions = [`name.ilike.${quoteFilterValue(`%${pattern}%`)}`];
+
+    const digits = filters.search.replace(/[\s()-]/g, '');
+    if (/^\+?\d{3,}$/.test(digits)) {
+      conditions.push(`phone_number.like.${quoteFilterValue(`%${digits}%`)}`);
+    }
+
+    filtered = filtered.or(conditions.join(','));
+  }
+
+  return filtered;
+}
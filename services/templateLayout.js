@@ -0,0 +1,166 @@
+import { StandardFonts } from 'pdf-lib';
+
+// Certificate template layouts: where each piece of text and the QR code go on the first page.
+//
+// {
+//   "fields": {
+//     "name":          { "x": 421, "y": 348, "font": "Helvetica-Bold", "size": 24, "color": "#000000", "align": "center", "maxWidth": 600 },
+//     "completion":    { ..., "maxWidth": 680, "maxHeight": 36, "minSize": 9, "lineHeight": 1.2 },
+//     "dates":         { ... },
+//     "certificateId": { ... }            (optional - omitted fields are not drawn)
+//   },
+//   "qr": { "x": 742, "y": 495, "size": 80 }   (x/y is the bottom-left corner, like all PDF coordinates)
+// }
+//
+// "font" is a built-in PDF font name or the name of a font uploaded for the template. When the chosen
+// font cannot print some of the text (e.g. a Devanagari name in Helvetica), the template's uploaded
+// fonts are tried in upload order - see services/fontCoverage.js.
+//
+// For text, x is the left edge, centre or right edge depending on "align", and y is the baseline.
+// With maxWidth alone the text stays on one line and shrinks (down to minSize) to fit; with maxHeight
+// as well it word-wraps downwards from y within the box (see services/textLayout.js).
+
+export const LAYOUT_FIELDS = ['name', 'completion', 'dates', 'certificateId'];
+export const ALIGNMENTS = ['left', 'center', 'right'];
+export const FONT_NAMES = Object.values(StandardFonts);
+
+const FIELD_KEYS = ['x', 'y', 'font', 'size', 'color', 'align', 'maxWidth', 'maxHeight', 'minSize', 'lineHeight'];
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 200;
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Layout used when a template has none stored: the positions the generator has always used
+ */
+export function defaultLayout(width, height) {
+  const text = (y, overrides = {}) => ({
+    x: width / 2,
+    y,
+    font: StandardFonts.Helvetica,
+    size: 14,
+    color: '#000000',
+    align: 'center',
+    maxWidth: width - 100,
+    maxHeight: null,
+    minSize: 8,
+    lineHeight: 1.2,
+    ...overrides
+  });
+
+  return {
+    fields: {
+      name: text(height / 2 + 50, { font: StandardFonts.HelveticaBold, size: 24, minSize: 12 }),
+      completion: text(height / 2 + 18, { maxWidth: width - 160, maxHeight: 36 }),
+      dates: text(height / 2 - 30)
+    },
+    qr: { x: width - 100, y: height - 100, size: 80 }
+  };
+}
+
+/**
+ * Validate a layout against the template's page size and uploaded font names.
+ * Returns { layout } or { error } with a message naming the offending property.
+ */
+export function validateLayout(layout, { width, height, fontNames = [] }) {
+  const allowedFonts = [...FONT_NAMES, ...fontNames];
+
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return { error: 'Layout must be an object with "fields" and "qr"' };
+  }
+
+  const unknownKeys = Object.keys(layout).filter(key => !['fields', 'qr'].includes(key));
+  if (unknownKeys.length > 0) {
+    return { error: `Unknown layout properties: ${unknownKeys.join(', ')}` };
+  }
+
+  const fields = layout.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'fields must be an object' };
+  }
+
+  const unknownFields = Object.keys(fields).filter(field => !LAYOUT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown fields: ${unknownFields.join(', ')} (allowed: ${LAYOUT_FIELDS.join(', ')})` };
+  }
+
+  if (!fields.name) {
+    return { error: 'fields.name is required' };
+  }
+
+  const validated = { fields: {}, qr: null };
+
+  for (const [field, placement] of Object.entries(fields)) {
+    const path = `fields.${field}`;
+
+    if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+      return { error: `${path} must be an object` };
+    }
+
+    const unknownKeys = Object.keys(placement).filter(key => !FIELD_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      return { error: `Unknown properties in ${path}: ${unknownKeys.join(', ')}` };
+    }
+
+    const {
+      x,
+      y,
+      font = StandardFonts.Helvetica,
+      size = 14,
+      color = '#000000',
+      align = 'left',
+      maxWidth = null,
+      maxHeight = null,
+      minSize = Math.min(8, size),
+      lineHeight = 1.2
+    } = placement;
+
+    if (!isNumberInRange(x, 0, width) || !isNumberInRange(y, 0, height)) {
+      return { error: `${path}.x and ${path}.y must be numbers within the ${width} x ${height} page` };
+    }
+    if (!allowedFonts.includes(font)) {
+      return { error: `${path}.font must be one of: ${allowedFonts.join(', ')}` };
+    }
+    if (!isNumberInRange(size, MIN_FONT_SIZE, MAX_FONT_SIZE)) {
+      return { error: `${path}.size must be a number between ${MIN_FONT_SIZE} and ${MAX_FONT_SIZE}` };
+    }
+    if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return { error: `${path}.color must be a hex colour like #1A2B3C` };
+    }
+    if (!ALIGNMENTS.includes(align)) {
+      return { error: `${path}.align must be one of: ${ALIGNMENTS.join(', ')}` };
+    }
+    if (maxWidth !== null && !isNumberInRange(maxWidth, 1, width)) {
+      return { error: `${path}.maxWidth must be a number between 1 and the page width (${width})` };
+    }
+    if (maxHeight !== null && (maxWidth === null || !isNumberInRange(maxHeight, 1, height))) {
+      return { error: `${path}.maxHeight must be a number between 1 and the page height (${height}), and needs maxWidth` };
+    }
+    if (!isNumberInRange(minSize, MIN_FONT_SIZE, size)) {
+      return { error: `${path}.minSize must be a number between ${MIN_FONT_SIZE} and the field size (${size})` };
+    }
+    if (!isNumberInRange(lineHeight, 0.8, 3)) {
+      return { error: `${path}.lineHeight must be a number between 0.8 and 3` };
+    }
+
+    validated.fields[field] = { x, y, font, size, color, align, maxWidth, maxHeight, minSize, lineHeight };
+  }
+
+  const qr = layout.qr;
+  if (qr !== undefined && qr !== null) {
+    if (typeof qr !== 'object' || Array.isArray(qr) || Object.keys(qr).some(key => !['x', 'y', 'size'].includes(key))) {
+      return { error: 'qr must be an object with x, y and size' };
+    }
+    if (!isNumberInRange(qr.size, 20, Math.min(width, height))) {
+      return { error: 'qr.size must be a number between 20 and the page size' };
+    }
+    if (!isNumberInRange(qr.x, 0, width - qr.size) || !isNumberInRange(qr.y, 0, height - qr.size)) {
+      return { error: 'qr.x and qr.y must keep the QR code on the page' };
+    }
+    validated.qr = { x: qr.x, y: qr.y, size: qr.size };
+  }
+
+  return { layout: validated };
+}
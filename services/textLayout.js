@@ -0,0 +1,106 @@
+// Fitting certificate text into layout boxes using the embedded font's glyph widths.
+//
+// A field with only maxWidth is a single line: its size shrinks (down to minSize) until it fits.
+// A field with maxWidth and maxHeight is a box: text is word-wrapped to maxWidth and the size
+// shrinks until every line fits within maxHeight. Each line is aligned on its own, so centred
+// text is centred line by line.
+
+const SHRINK_STEP = 0.5;
+const DEFAULT_MIN_SIZE = 8;
+const DEFAULT_LINE_HEIGHT = 1.2;
+
+/**
+ * Break a word that is wider than maxWidth on its own into pieces that fit
+ */
+function breakWord(word, font, size, maxWidth) {
+  const pieces = [];
+  let piece = '';
+
+  for (const char of word) {
+    if (piece && font.widthOfTextAtSize(piece + char, size) > maxWidth) {
+      pieces.push(piece);
+      piece = char;
+    } else {
+      piece += char;
+    }
+  }
+
+  return piece ? [...pieces, piece] : pieces;
+}
+
+/**
+ * Greedy word wrap of text into lines no wider than maxWidth at the given size
+ */
+export function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    if (font.widthOfTextAtSize(word, size) <= maxWidth) {
+      line = word;
+    } else {
+      const pieces = breakWord(word, font, size, maxWidth);
+      lines.push(...pieces.slice(0, -1));
+      line = pieces[pieces.length - 1];
+    }
+  }
+
+  return line ? [...lines, line] : lines;
+}
+
+/**
+ * Choose the font size and lines for a field's text.
+ * Returns { size, lines }, or throws when the text cannot fit even at minSize.
+ */
+export function fitText(text, font, placement) {
+  const { size: maxSize, maxWidth = null, maxHeight = null } = placement;
+  const minSize = Math.min(placement.minSize ?? DEFAULT_MIN_SIZE, maxSize);
+  const lineHeight = placement.lineHeight ?? DEFAULT_LINE_HEIGHT;
+
+  if (!maxWidth) {
+    return { size: maxSize, lines: [text] };
+  }
+
+  for (let size = maxSize; ; size = Math.max(size - SHRINK_STEP, minSize)) {
+    const lines = maxHeight ? wrapText(text, font, size, maxWidth) : [text];
+    const fits = maxHeight
+      ? lines.length * size * lineHeight <= maxHeight
+      : font.widthOfTextAtSize(text, size) <= maxWidth;
+
+    if (fits) {
+      return { size, lines };
+    }
+    if (size === minSize) {
+      break;
+    }
+  }
+
+  throw new Error(`Text "${text}" does not fit in its ${maxWidth}${maxHeight ? ` x ${maxHeight}` : ''} box even at ${minSize}pt`);
+}
+
+/**
+ * Position each line of a fitted field: y is the first line's baseline, following lines go down the page
+ */
+export function positionLines(lines, font, size, placement) {
+  const lineHeight = placement.lineHeight ?? DEFAULT_LINE_HEIGHT;
+
+  return lines.map((line, index) => {
+    const lineWidth = font.widthOfTextAtSize(line, size);
+    const x = placement.align === 'center'
+      ? placement.x - lineWidth / 2
+      : placement.align === 'right' ? placement.x - lineWidth : placement.x;
+
+    return { text: line, x, y: placement.y - index * size * lineHeight };
+  });
+}
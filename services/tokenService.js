@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import supabase from '../supabaseClient.js';
+import { isDevMode } from './devMode.js';
+
+const TOKEN_CONFIG = {
+  secret: process.env.JWT_SECRET,
+  issuer: process.env.JWT_ISSUER || 'certificate-hub',
+  accessTokenTtl: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TOKEN_TTL_DAYS || '30', 10)
+};
+
+if (!TOKEN_CONFIG.secret) {
+  if (!isDevMode()) {
+    throw new Error('JWT_SECRET must be set (a random secret is only used when DEV_MODE=true)');
+  }
+  // Tokens signed with a throwaway secret stop working when the server restarts
+  console.warn('⚠️ JWT_SECRET is not set - using a random secret for this process');
+  TOKEN_CONFIG.secret = crypto.randomBytes(32).toString('hex');
+}
+
+class TokenService {
+  /**
+   * Hash a refresh token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token carrying the user ID and role
+   */
+  static signAccessToken(userId, role) {
+    return jwt.sign(
+      { sub: String(userId), role, type: 'access' },
+      TOKEN_CONFIG.secret,
+      { expiresIn: TOKEN_CONFIG.accessTokenTtl, issuer: TOKEN_CONFIG.issuer }
+    );
+  }
+
+  /**
+   * Verify an access token and return { userId, role }; throws if invalid or expired
+   */
+  static verifyAccessToken(token) {
+    const payload = jwt.verify(token, TOKEN_CONFIG.secret, { issuer: TOKEN_CONFIG.issuer });
+
+    if (payload.type !== 'access' || !payload.sub || !['admin', 'student'].includes(payload.role)) {
+      throw new jwt.JsonWebTokenError('Malformed access token');
+    }
+
+    return {
+      userId: parseInt(payload.sub, 10),
+      role: payload.role
+    };
+  }
+
+  /**
+   * Create and store a new opaque refresh token
+   */
+  static async createRefreshToken(userId, role) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_CONFIG.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .insert({
+        token_hash: this.hashToken(refreshToken),
+        user_id: userId,
+        user_type: role,
+        expires_at: expiresAt.toISOString()
+      })
+      .select('token_id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to store refresh token: ${error.message}`);
+    }
+
+    return { refreshToken, tokenId: data.token_id, expiresAt };
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   */
+  static async issueTokens(userId, role) {
+    const accessToken = this.signAccessToken(userId, role);
+    const { refreshToken, tokenId, expiresAt } = await this.createRefreshToken(userId, role);
+    const { exp, iat } = jwt.decode(accessToken);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: exp - iat,
+      refreshTokenExpiresAt: expiresAt.toISOString(),
+      refreshTokenId: tokenId
+    };
+  }
+
+  /**
+   * Look up a stored refresh token by its raw value
+   */
+  static async findRefreshToken(refreshToken) {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', this.hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up refresh token: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, revoking the old one.
+   * Returns null if the token is unknown, expired or revoked.
+   */
+  static async rotateRefreshToken(refreshToken) {
+    const record = await this.findRefreshToken(refreshToken);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.revoked_at) {
+      // A revoked token being replayed means it may have been stolen
+      console.warn(`⚠️ Revoked refresh token reused for ${record.user_type} ${record.user_id} - revoking all sessions`);
+      await this.revokeAllForUser(record.user_id, record.user_type);
+      return null;
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+      return null;
+    }
+
+    // Revoke before issuing: only one of two concurrent refreshes with the same token can win,
+    // and the loser is treated as a replay
+    const { data: revoked, error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('token_id', record.token_id)
+      .is('revoked_at', null)
+      .select('token_id');
+
+    if (error) {
+      throw new Error(`Failed to revoke refresh token: ${error.message}`);
+    }
+
+    if (revoked.length === 0) {
+      console.warn(`⚠️ Refresh token reused concurrently for ${record.user_type} ${record.user_id} - revoking all sessions`);
+      await this.revokeAllForUser(record.user_id, record.user_type);
+      return null;
+    }
+
+    const tokens = await this.issueTokens(record.user_id, record.user_type);
+
+    const { error: replacedError } = await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by: tokens.refreshTokenId })
+      .eq('token_id', record.token_id);
+
+    if (replacedError) {
+      throw new Error(`Failed to link refresh token: ${replacedError.message}`);
+    }
+
+    return { ...tokens, userId: record.user_id, role: record.user_type };
+  }
+
+  /**
+   * Revoke a single refresh token. Returns false if it was not found.
+   */
+  static async revokeRefreshToken(refreshToken) {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('token_hash', this.hashToken(refreshToken))
+      .is('revoked_at', null)
+      .select('token_id');
+
+    if (error) {
+      throw new Error(`Failed to revoke refresh token: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Revoke every active refresh token belonging to a user
+   */
+  static async revokeAllForUser(userId, role) {
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('user_type', role)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+    }
+  }
+}
+
+export default TokenService;
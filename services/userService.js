@@ -0,0 +1,67 @@
+import supabase from '../supabaseClient.js';
+
+// Where each role's users live
+const USER_TABLES = {
+  admin: { table: 'admin', idField: 'admin_id', activeOnly: false },
+  student: { table: 'students', idField: 'student_id', activeOnly: true }
+};
+
+class UserService {
+  /**
+   * Get table metadata for a role ("admin" or "student")
+   */
+  static getTable(role) {
+    const table = USER_TABLES[role];
+    if (!table) {
+      throw new Error(`Unknown user role: ${role}`);
+    }
+    return table;
+  }
+
+  /**
+   * Find an admin or (non-deleted) student by ID, or null if there is none
+   */
+  static async findById(role, userId, columns = '*') {
+    const { table, idField, activeOnly } = this.getTable(role);
+
+    let query = supabase
+      .from(table)
+      .select(columns)
+      .eq(idField, userId);
+
+    if (activeOnly) {
+      query = query.eq('deleted', false);
+    }
+
+    const { data: user, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch ${role}: ${error.message}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the ID of a user row for its role
+   */
+  static getUserId(user, role) {
+    return user[this.getTable(role).idField];
+  }
+
+  /**
+   * Shape a user row for API responses
+   */
+  static toProfile(user, role) {
+    return {
+      id: this.getUserId(user, role),
+      phoneNumber: user.phone_number,
+      name: user.name,
+      email: user.email || null,
+      createdAt: user.created_at,
+      role
+    };
+  }
+}
+
+export default UserService;
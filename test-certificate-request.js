@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 const API_BASE_URL = 'http://localhost:3001';
+const ACCESS_TOKEN = process.env.TEST_ACCESS_TOKEN; // Access token of the student (or an admin) from /v1/auth/verify-otp
 
 // Test data for certificate request - using valid course and company names
 const testCertificateRequest = {
@@ -25,6 +26,7 @@ async function testCertificateRequestAPI() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${ACCESS_TOKEN}`
       },
       body: JSON.stringify(testCertificateRequest)
     });
@@ -84,6 +86,7 @@ async function runTests() {
   console.log('3. ✅ Check the backend console logs for any errors');
   console.log('4. ✅ Confirm data is stored in database only (no Excel files)');
   console.log('\n⚠️  Note: Make sure the server is running on port 3001');
+  console.log('⚠️  Note: Set TEST_ACCESS_TOKEN to a valid access token');
 }
 
 // Run the tests
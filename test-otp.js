@@ -1,42 +1,132 @@
+import crypto from 'crypto';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import supabase from './supabaseClient.js';
+import { isDevMode } from './services/devMode.js';
+import { renderOtpMessage } from './services/sms/index.js';
+import SmsDeliveryService from './services/sms/SmsDeliveryService.js';
+import { getMailer, renderOtpEmail } from './services/mail/index.js';
+import { normalizePhoneNumber, isValidPhoneNumber, INVALID_PHONE_MESSAGE } from './services/phoneNumbers.js';
 
 dotenv.config();
 
 const BASE_URL = 'http://localhost:3001';
 
-// SMS configuration - exactly matching the working test
-const SMS_CONFIG = {
-  secret: 'xledocqmXkNPrTesuqWr',
-  sender: 'NIGHAI',
-  tempid: '1207174264191607433',
-  route: 'TA',
-  msgtype: '1',
-  baseUrl: 'http://43.252.88.250/index.php/smsapi/httpapi/'
+// OTP brute-force and flooding limits
+const OTP_POLICY = {
+  expiryMinutes: 10,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10),
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10),
+  dailyLimitPerPhone: parseInt(process.env.OTP_DAILY_LIMIT_PER_PHONE || '10', 10), // Also applied per email address
+  dailyLimitPerIp: parseInt(process.env.OTP_DAILY_LIMIT_PER_IP || '30', 10),
+  lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES || '30', 10)
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each OTP delivery channel is keyed in otp_sessions and described to users
+const OTP_CHANNELS = {
+  sms: { column: 'phone_number', label: 'phone number', dailyLimitCode: 'OTP_DAILY_LIMIT_PHONE' },
+  email: { column: 'email', label: 'email address', dailyLimitCode: 'OTP_DAILY_LIMIT_EMAIL' }
+};
+
+// Server-side key mixed into OTP hashes, so a leaked otp_sessions table cannot be brute-forced offline
+let OTP_HASH_SECRET = process.env.OTP_HASH_SECRET;
+
+if (!OTP_HASH_SECRET) {
+  if (!isDevMode()) {
+    throw new Error('OTP_HASH_SECRET must be set (a random secret is only used when DEV_MODE=true)');
+  }
+  // Pending OTPs become unverifiable when the server restarts
+  console.warn('⚠️ OTP_HASH_SECRET is not set - using a random secret for this process');
+  OTP_HASH_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+// Seconds from now until the given time (at least 1)
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((new Date(time).getTime() - Date.now()) / 1000));
+}
+
 // Working OTP Service Class - extracted from test-otp.js
 export class WorkingOtpService {
   // Generate a 6-digit OTP
   static generateOTP() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
   }
 
-  // Validate Indian phone number format
+  // Hash an OTP with its per-OTP salt
+  static hashOTP(otp, salt) {
+    return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`${salt}:${otp}`).digest('hex');
+  }
+
+  // Compare an OTP against a stored record in constant time
+  static otpMatches(otp, otpRecord) {
+    if (!otpRecord.otp_hash || !otpRecord.otp_salt) {
+      return false;
+    }
+
+    const expected = Buffer.from(otpRecord.otp_hash, 'hex');
+    const actual = Buffer.from(this.hashOTP(otp, otpRecord.otp_salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Validate phone number (country-aware; numbers without a +country code use DEFAULT_PHONE_COUNTRY)
   static validatePhoneNumber(phoneNumber) {
-    const cleanNumber = phoneNumber.replace(/[\s\-\+]/g, '');
-    const indianMobileRegex = /^[6-9]\d{9}$/;
-    return indianMobileRegex.test(cleanNumber);
+    return isValidPhoneNumber(phoneNumber);
   }
 
-  // Format phone number
+  // Format phone number to E.164 (invalid numbers are returned trimmed so validation can reject them)
   static formatPhoneNumber(phoneNumber) {
-    const cleanNumber = phoneNumber.replace(/[\s\-\+]/g, '');
-    if (cleanNumber.startsWith('91') && cleanNumber.length === 12) {
-      return cleanNumber.substring(2);
+    return normalizePhoneNumber(phoneNumber) || String(phoneNumber).trim();
+  }
+
+  // Validate email address format
+  static validateEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+  }
+
+  // Format email address (emails are matched case-insensitively)
+  static formatEmail(email) {
+    return email.trim().toLowerCase();
+  }
+
+  // Check if email exists in database (role-specific validation, admin table first)
+  static async validateEmailInDatabase(email, role = null) {
+    const lookups = [];
+    if (role !== 'user' && role !== 'student') {
+      lookups.push({ table: 'admin', columns: 'admin_id, name, email', userType: 'admin' });
+    }
+    if (role !== 'admin') {
+      lookups.push({ table: 'students', columns: 'student_id, name, email', userType: 'student', activeOnly: true });
+    }
+
+    try {
+      for (const { table, columns, userType, activeOnly } of lookups) {
+        let query = supabase
+          .from(table)
+          .select(columns)
+          .ilike('email', email.replace(/[%_\\]/g, '\\$&'));
+
+        if (activeOnly) {
+          query = query.eq('deleted', false);
+        }
+
+        const { data: user, error } = await query.limit(1).maybeSingle();
+
+        if (!error && user) {
+          return { exists: true, userType, user };
+        }
+      }
+
+      return {
+        exists: false,
+        userType: null,
+        user: null
+      };
+    } catch (error) {
+      console.error('Error validating email in database:', error);
+      throw error;
     }
-    return cleanNumber;
   }
 
   // Check if phone number exists in database (role-specific validation)
@@ -135,28 +225,34 @@ export class WorkingOtpService {
     }
   }
 
-  // Store OTP in Supabase database
-  static async storeOTP(phoneNumber, otp) {
+  // Store OTP (as a salted hash) in Supabase database
+  static async storeOTP(destination, otp, ipAddress = null, channel = 'sms') {
     try {
-      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString(); // Database will handle IST conversion
+      const { column } = OTP_CHANNELS[channel];
+      const expiresAt = new Date(Date.now() + OTP_POLICY.expiryMinutes * 60 * 1000).toISOString(); // Database will handle IST conversion
 
       // Mark existing OTPs as verified (invalidate them)
       await supabase
         .from('otp_sessions')
         .update({ is_verified: true })
-        .eq('phone_number', phoneNumber)
+        .eq(column, destination)
         .eq('is_verified', false);
 
       // Create new OTP record
+      const otpSalt = crypto.randomBytes(16).toString('hex');
       const { data, error } = await supabase
         .from('otp_sessions')
         .insert({
-          phone_number: phoneNumber,
-          otp_code: otp,
+          [column]: destination,
+          channel,
+          otp_hash: this.hashOTP(otp, otpSalt),
+          otp_salt: otpSalt,
           expires_at: expiresAt,
-          is_verified: false
+          is_verified: false,
+          attempts: 0,
+          ip_address: ipAddress
         })
-        .select()
+        .select('session_id, expires_at')
         .single();
 
       if (error) {
@@ -164,7 +260,7 @@ export class WorkingOtpService {
         throw new Error(`Failed to store OTP: ${error.message}`);
       }
 
-      console.log(`✅ OTP stored successfully for ${phoneNumber}`);
+      console.log(`✅ OTP stored successfully for ${destination}`);
       return data;
     } catch (error) {
       console.error('Store OTP error:', error);
@@ -172,23 +268,144 @@ export class WorkingOtpService {
     }
   }
 
-  // Verify OTP from Supabase database
-  static async verifyOTP(phoneNumber, otp) {
+  // Get an active lockout for an identifier, or null
+  static async getLockout(identifier) {
+    const { data: lockout, error } = await supabase
+      .from('otp_lockouts')
+      .select('*')
+      .eq('identifier', identifier)
+      .gt('locked_until', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to check OTP lockout: ${error.message}`);
+    }
+
+    return lockout;
+  }
+
+  // Temporarily lock an identifier out of sending and verifying OTPs
+  static async lockIdentifier(identifier, reason) {
+    const lockedUntil = new Date(Date.now() + OTP_POLICY.lockoutMinutes * 60 * 1000).toISOString();
+
+    const { error } = await supabase
+      .from('otp_lockouts')
+      .upsert({ identifier, locked_until: lockedUntil, reason }, { onConflict: 'identifier' });
+
+    if (error) {
+      throw new Error(`Failed to store OTP lockout: ${error.message}`);
+    }
+
+    console.log(`🔒 Locked ${identifier} until ${lockedUntil}: ${reason}`);
+    return lockedUntil;
+  }
+
+  // Fetch OTP sends (oldest first) for a column value within the last 24 hours
+  static async getRecentSends(column, value, limit) {
+    const { data, error } = await supabase
+      .from('otp_sessions')
+      .select('created_at, delivery_failed')
+      .eq(column, value)
+      .gt('created_at', new Date(Date.now() - DAY_MS).toISOString())
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to check OTP send history: ${error.message}`);
+    }
+
+    return data.reverse();
+  }
+
+  // Check lockout, resend cooldown and daily caps before sending an OTP.
+  // Returns null when sending is allowed, otherwise an error result with a code and retryAfter (seconds).
+  static async checkSendLimits(destination, ipAddress = null, channel = 'sms') {
+    const { column, label, dailyLimitCode } = OTP_CHANNELS[channel];
+
+    const lockout = await this.getLockout(destination);
+    if (lockout) {
+      return {
+        code: 'OTP_LOCKED',
+        error: 'Too many failed attempts',
+        message: `This ${label} is temporarily locked. Please try again later.`,
+        retryAfter: secondsUntil(lockout.locked_until)
+      };
+    }
+
+    const recipientSends = await this.getRecentSends(column, destination, OTP_POLICY.dailyLimitPerPhone);
+    // An OTP that never arrived does not make the user wait before asking again
+    const lastSend = recipientSends.filter(send => !send.delivery_failed).pop();
+
+    if (lastSend) {
+      const cooldownEndsAt = new Date(lastSend.created_at).getTime() + OTP_POLICY.resendCooldownSeconds * 1000;
+      if (cooldownEndsAt > Date.now()) {
+        return {
+          code: 'OTP_RESEND_COOLDOWN',
+          error: 'OTP requested too soon',
+          message: 'Please wait before requesting another OTP',
+          retryAfter: secondsUntil(cooldownEndsAt)
+        };
+      }
+    }
+
+    if (recipientSends.length >= OTP_POLICY.dailyLimitPerPhone) {
+      return {
+        code: dailyLimitCode,
+        error: 'Daily OTP limit reached',
+        message: `Too many OTPs have been requested for this ${label} today`,
+        retryAfter: secondsUntil(new Date(recipientSends[0].created_at).getTime() + DAY_MS)
+      };
+    }
+
+    if (ipAddress) {
+      const ipSends = await this.getRecentSends('ip_address', ipAddress, OTP_POLICY.dailyLimitPerIp);
+      if (ipSends.length >= OTP_POLICY.dailyLimitPerIp) {
+        return {
+          code: 'OTP_DAILY_LIMIT_IP',
+          error: 'Daily OTP limit reached',
+          message: 'Too many OTPs have been requested from this network today',
+          retryAfter: secondsUntil(new Date(ipSends[0].created_at).getTime() + DAY_MS)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Verify OTP from Supabase database, counting wrong guesses against the latest OTP
+  static async verifyOTP(destination, otp, channel = 'sms') {
     try {
+      const { column, label } = OTP_CHANNELS[channel];
+
+      const lockout = await this.getLockout(destination);
+      if (lockout) {
+        console.log(`🔒 OTP verification blocked for locked ${destination}`);
+        return {
+          isValid: false,
+          code: 'OTP_LOCKED',
+          message: `This ${label} is temporarily locked. Please try again later.`,
+          retryAfter: secondsUntil(lockout.locked_until)
+        };
+      }
+
       const { data: otpRecord, error } = await supabase
         .from('otp_sessions')
         .select('*')
-        .eq('phone_number', phoneNumber)
-        .eq('otp_code', otp)
+        .eq(column, destination)
         .eq('is_verified', false)
+        .is('invalidated_at', null)
         .gt('expires_at', new Date().toISOString())
         .order('created_at', { ascending: false })
         .limit(1)
-        .single();
+        .maybeSingle();
 
       if (error || !otpRecord) {
-        console.log(`❌ Invalid or expired OTP for ${phoneNumber}`);
-        return { isValid: false, message: 'Invalid or expired OTP' };
+        console.log(`❌ No active OTP for ${destination}`);
+        return { isValid: false, code: 'OTP_EXPIRED', message: 'Invalid or expired OTP' };
+      }
+
+      if (!this.otpMatches(otp, otpRecord)) {
+        return await this.recordFailedAttempt(otpRecord, destination);
       }
 
       // Mark OTP as verified
@@ -202,11 +419,11 @@ export class WorkingOtpService {
         throw new Error(`Failed to update OTP status: ${updateError.message}`);
       }
 
-      console.log(`✅ OTP verified successfully for ${phoneNumber}`);
+      console.log(`✅ OTP verified successfully for ${destination}`);
       return { 
         isValid: true, 
         message: 'OTP verified successfully',
-        otpRecord 
+        otpRecord: { session_id: otpRecord.session_id, channel, [column]: destination }
       };
     } catch (error) {
       console.error('Verify OTP error:', error);
@@ -214,57 +431,70 @@ export class WorkingOtpService {
     }
   }
 
-  // Send OTP via SMS - using the exact working logic from test-otp.js
+  // Count a wrong guess; invalidate the OTP and lock the recipient once attempts run out
+  static async recordFailedAttempt(otpRecord, destination) {
+    const attempts = otpRecord.attempts + 1;
+    const exhausted = attempts >= OTP_POLICY.maxAttempts;
+
+    // Only update if no concurrent guess got there first, so parallel requests cannot share one attempt
+    const { data: updated, error } = await supabase
+      .from('otp_sessions')
+      .update({
+        attempts,
+        invalidated_at: exhausted ? new Date().toISOString() : null
+      })
+      .eq('session_id', otpRecord.session_id)
+      .eq('attempts', otpRecord.attempts)
+      .select('session_id');
+
+    if (error) {
+      throw new Error(`Failed to record OTP attempt: ${error.message}`);
+    }
+
+    if (updated.length === 0) {
+      return { isValid: false, code: 'OTP_INVALID', message: 'Invalid or expired OTP' };
+    }
+
+    if (exhausted) {
+      const lockedUntil = await this.lockIdentifier(destination, 'Too many wrong OTP attempts');
+      console.log(`❌ OTP attempts exhausted for ${destination}`);
+      return {
+        isValid: false,
+        code: 'OTP_ATTEMPTS_EXCEEDED',
+        message: 'Too many wrong attempts. This OTP is no longer valid.',
+        retryAfter: secondsUntil(lockedUntil),
+        attemptsRemaining: 0
+      };
+    }
+
+    console.log(`❌ Wrong OTP for ${destination} (attempt ${attempts}/${OTP_POLICY.maxAttempts})`);
+    return {
+      isValid: false,
+      code: 'OTP_INVALID',
+      message: 'Invalid or expired OTP',
+      attemptsRemaining: OTP_POLICY.maxAttempts - attempts
+    };
+  }
+
+  // Mark a stored OTP as undelivered, so it can neither be verified nor hold back a resend
+  static async markDeliveryFailed(sessionId) {
+    const { error } = await supabase
+      .from('otp_sessions')
+      .update({ delivery_failed: true, invalidated_at: new Date().toISOString() })
+      .eq('session_id', sessionId);
+
+    // The send has already failed; this only leaves the resend cooldown in place
+    if (error) {
+      console.error('Failed to record OTP delivery failure:', error);
+    }
+  }
+
+  // Send OTP via SMS (with retries, fallback provider and delivery logging)
   static async sendOtpSms(phoneNumber, otp) {
     try {
-      console.log(`📱 [Working Service] Sending OTP SMS to ${phoneNumber} with OTP: ${otp}`);
-      
-      // Format the SMS message exactly like the working version
-      const message = `Welcome to NighaTech Global Your OTP for authentication is ${otp} don't share with anybody Thank you`;
-      
-      // Prepare SMS API parameters exactly like the working version
-      const params = new URLSearchParams({
-        secret: SMS_CONFIG.secret,
-        sender: SMS_CONFIG.sender,
-        tempid: SMS_CONFIG.tempid,
-        receiver: phoneNumber,
-        route: SMS_CONFIG.route,
-        msgtype: SMS_CONFIG.msgtype,
-        sms: message
-      });
-
-      const smsUrl = `${SMS_CONFIG.baseUrl}?${params.toString()}`;
-      console.log(`📱 [Working Service] SMS URL: ${smsUrl}`);
-
-      // Send SMS using the exact same method as the working test
-      const response = await fetch(smsUrl, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Node.js SMS Service/1.0'
-        }
-      });
-
-      const responseText = await response.text();
-      console.log(`📱 [Working Service] SMS API Response Status: ${response.status}`);
-      console.log(`📱 [Working Service] SMS API Response Text: ${responseText}`);
+      console.log(`📱 [Working Service] Sending OTP SMS to ${phoneNumber}`);
 
-      if (response.status === 200) {
-        console.log(`✅ [Working Service] SMS sent successfully to ${phoneNumber}`);
-        return {
-          success: true,
-          message: `SMS sent successfully to ${phoneNumber}`,
-          apiResponse: responseText,
-          status: response.status
-        };
-      } else {
-        console.log(`❌ [Working Service] SMS failed for ${phoneNumber}`);
-        return {
-          success: false,
-          error: `SMS API returned status ${response.status}: ${responseText}`,
-          apiResponse: responseText,
-          status: response.status
-        };
-      }
+      return await SmsDeliveryService.send(phoneNumber, renderOtpMessage(otp), 'otp');
     } catch (error) {
       console.error('📱 [Working Service] SMS Service Error:', error);
       return {
@@ -275,45 +505,95 @@ export class WorkingOtpService {
     }
   }
 
-  // Complete OTP flow: generate, store, and send (with role-based validation)
-  static async sendOTP(phoneNumber, name = null, role = null) {
+  // Send OTP via email through the configured mailer
+  static async sendOtpEmail(email, otp) {
     try {
-      console.log(`📱 [Working Service] Starting OTP process for ${phoneNumber} with role: ${role}`);
-      
-      // Format and validate phone number
-      const formattedPhone = this.formatPhoneNumber(phoneNumber);
-      
-      if (!this.validatePhoneNumber(formattedPhone)) {
-        throw new Error('Invalid phone number format. Must be a valid 10-digit Indian mobile number starting with 6-9');
+      const mailer = getMailer();
+      console.log(`📧 [Working Service] Sending OTP email to ${email} via ${mailer.name} mailer`);
+
+      return await mailer.send({ to: email, ...renderOtpEmail(otp) });
+    } catch (error) {
+      console.error('📧 [Working Service] Email Service Error:', error);
+      return {
+        success: false,
+        error: `Failed to send email: ${error.message}`,
+        exception: error.name
+      };
+    }
+  }
+
+  // Complete OTP flow: generate, store, and send by SMS or email (with role-based validation)
+  static async sendOTP(destination, name = null, role = null, ipAddress = null, channel = 'sms') {
+    try {
+      console.log(`📱 [Working Service] Starting ${channel} OTP process for ${destination} with role: ${role}`);
+
+      if (!OTP_CHANNELS[channel]) {
+        throw new Error(`Unsupported OTP channel: ${channel}`);
+      }
+
+      // Format and validate phone number or email
+      let formattedDestination;
+      if (channel === 'email') {
+        formattedDestination = this.formatEmail(destination);
+
+        if (!this.validateEmail(formattedDestination)) {
+          throw new Error('Invalid email address format');
+        }
+      } else {
+        formattedDestination = this.formatPhoneNumber(destination);
+
+        if (!this.validatePhoneNumber(formattedDestination)) {
+          throw new Error(`Invalid phone number format. ${INVALID_PHONE_MESSAGE}`);
+        }
+      }
+
+      // Enforce lockout, resend cooldown and daily caps
+      const limit = await this.checkSendLimits(formattedDestination, ipAddress, channel);
+      if (limit) {
+        console.log(`⏳ [Working Service] OTP send blocked for ${formattedDestination}: ${limit.code}`);
+        return { success: false, ...limit };
       }
 
-      // Validate phone number exists in database with role-specific check
-      const phoneValidation = await this.validatePhoneInDatabase(formattedPhone, role);
+      // Validate phone number or email exists in database with role-specific check
+      const validation = channel === 'email'
+        ? await this.validateEmailInDatabase(formattedDestination, role)
+        : await this.validatePhoneInDatabase(formattedDestination, role);
       
-      if (!phoneValidation.exists) {
+      if (!validation.exists) {
         const roleMessage = role === 'admin' ? 'admin records' : role === 'user' || role === 'student' ? 'student records' : 'database';
-        throw new Error(`Phone number not registered in ${roleMessage}. Please contact administrator to register your phone number.`);
+        const subject = channel === 'email' ? 'Email address' : 'Phone number';
+        throw new Error(`${subject} not registered in ${roleMessage}. Please contact administrator to register your ${OTP_CHANNELS[channel].label}.`);
       }
 
-      console.log(`📱 [Working Service] Phone number validated for ${phoneValidation.userType}: ${phoneValidation.user.name}`);
+      console.log(`📱 [Working Service] ${channel} recipient validated for ${validation.userType}: ${validation.user.name}`);
 
       // Generate OTP
       const otp = this.generateOTP();
-      console.log(`📱 [Working Service] Generated OTP: ${otp}`);
+      if (isDevMode()) {
+        console.log(`📱 [Working Service] Generated OTP: ${otp}`);
+      }
       
       // Store OTP in database
-      await this.storeOTP(formattedPhone, otp);
+      const session = await this.storeOTP(formattedDestination, otp, ipAddress, channel);
       
-      // Send OTP via SMS using the working method
-      const smsResult = await this.sendOtpSms(formattedPhone, otp);
+      // Deliver OTP over the requested channel
+      const deliveryResult = channel === 'email'
+        ? await this.sendOtpEmail(formattedDestination, otp)
+        : await this.sendOtpSms(formattedDestination, otp);
+
+      if (!deliveryResult.success) {
+        await this.markDeliveryFailed(session.session_id);
+      }
       
       return {
         success: true,
         message: 'OTP sent successfully',
-        phoneNumber: formattedPhone,
-        userType: phoneValidation.userType,
-        smsResult,
-        otp: otp // For debugging - remove in production
+        channel,
+        [channel === 'email' ? 'email' : 'phoneNumber']: formattedDestination,
+        userType: validation.userType,
+        deliveryResult,
+        ...(channel === 'sms' && { smsResult: deliveryResult }),
+        ...(isDevMode() && { otp }) // Only echoed in DEV_MODE
       };
     } catch (error) {
       console.error('[Working Service] Send OTP error:', error);
@@ -321,13 +601,14 @@ export class WorkingOtpService {
     }
   }
 
-  // Cleanup expired OTPs
+  // Cleanup expired OTPs (kept for 24 hours so daily send caps still see them)
   static async cleanupExpiredOTPs() {
     try {
       const { data, error } = await supabase
         .from('otp_sessions')
         .delete()
-        .lt('expires_at', new Date().toISOString());
+        .lt('expires_at', new Date().toISOString())
+        .lt('created_at', new Date(Date.now() - DAY_MS).toISOString());
 
       if (error) {
         console.error('Error cleaning up expired OTPs:', error);
@@ -344,13 +625,17 @@ export class WorkingOtpService {
 }
 
 // Helper function to make API calls
-async function apiCall(endpoint, method = 'GET', body = null) {
+async function apiCall(endpoint, method = 'GET', body = null, accessToken = null) {
   const options = {
     method,
     headers: {
       'Content-Type': 'application/json',
     },
   };
+
+  if (accessToken) {
+    options.headers['Authorization'] = `Bearer ${accessToken}`;
+  }
   
   if (body) {
     options.body = JSON.stringify(body);
@@ -407,10 +692,10 @@ async function testVerifyOTP() {
     message: result.data.message,
     isNewUser: result.data.isNewUser,
     user: result.data.user,
-    access_token: result.data.access_token ? 'Generated' : 'Not generated'
+    accessToken: result.data.accessToken ? 'Generated' : 'Not generated'
   });
   
-  return result.ok ? result.data.access_token : null;
+  return result.ok ? result.data.accessToken : null;
 }
 
 async function testGetProfile(accessToken) {
@@ -429,7 +714,7 @@ async function testGetProfile(accessToken) {
     }
   };
   
-  const response = await fetch(`${BASE_URL}/v1/auth/profile`, options);
+  const response = await fetch(`${BASE_URL}/v1/auth/me`, options);
   const data = await response.json();
   
   const result = {
@@ -456,7 +741,7 @@ async function testUpdateProfile(accessToken) {
   }
   
   const options = {
-    method: 'PUT',
+    method: 'PATCH',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${accessToken}`
@@ -466,7 +751,7 @@ async function testUpdateProfile(accessToken) {
     })
   };
   
-  const response = await fetch(`${BASE_URL}/v1/auth/profile`, options);
+  const response = await fetch(`${BASE_URL}/v1/auth/me`, options);
   const data = await response.json();
   
   const result = {
@@ -500,10 +785,10 @@ async function testHealthCheck() {
   return result.ok;
 }
 
-async function testCleanupOTPs() {
-  console.log('\n🧪 Testing Cleanup OTPs...');
+async function testCleanupOTPs(accessToken) {
+  console.log('\n🧪 Testing Cleanup OTPs (requires an admin access token)...');
   
-  const result = await apiCall('/v1/auth/cleanup-otps', 'POST');
+  const result = await apiCall('/v1/auth/cleanup-otps', 'POST', null, accessToken);
   
   console.log('🧹 Cleanup OTPs Result:', {
     status: result.status,
@@ -545,7 +830,7 @@ async function runTests() {
       }
       
       // Test cleanup
-      await testCleanupOTPs();
+      await testCleanupOTPs(accessToken);
     }
     
     console.log('\n✅ Tests completed!');
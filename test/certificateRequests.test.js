@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CertificateRequests, { REQUEST_STATES, OPEN_STATES, EDITABLE_STATES } from '../services/certificateRequests.js';
+
+// Every allowed status change; anything else must be refused
+const ALLOWED = [
+  ['submitted', 'under_review'],
+  ['submitted', 'approved'],
+  ['submitted', 'rejected'],
+  ['submitted', 'withdrawn'],
+  ['under_review', 'approved'],
+  ['under_review', 'rejected'],
+  ['under_review', 'withdrawn'],
+  ['approved', 'generated'],
+  ['generated', 'revoked'],
+  ['revoked', 'generated']
+];
+
+test('canTransition allows exactly the workflow status changes', () => {
+  for (const from of REQUEST_STATES) {
+    for (const to of REQUEST_STATES) {
+      const allowed = ALLOWED.some(([a, b]) => a === from && b === to);
+      assert.equal(CertificateRequests.canTransition(from, to), allowed, `${from} -> ${to}`);
+    }
+  }
+});
+
+test('an approved request can no longer be rejected or withdrawn', () => {
+  assert.equal(CertificateRequests.canTransition('approved', 'rejected'), false);
+  assert.equal(CertificateRequests.canTransition('approved', 'withdrawn'), false);
+});
+
+test('rejected and withdrawn requests are final', () => {
+  for (const to of REQUEST_STATES) {
+    assert.equal(CertificateRequests.canTransition('rejected', to), false);
+    assert.equal(CertificateRequests.canTransition('withdrawn', to), false);
+  }
+});
+
+test('canTransition refuses unknown states', () => {
+  assert.equal(CertificateRequests.canTransition('deleted', 'submitted'), false);
+  assert.equal(CertificateRequests.canTransition('submitted', 'deleted'), false);
+});
+
+test('editable requests are open, and only open requests can still be decided', () => {
+  assert.ok(EDITABLE_STATES.every(status => OPEN_STATES.includes(status)));
+  for (const status of REQUEST_STATES.filter(status => !OPEN_STATES.includes(status))) {
+    assert.equal(CertificateRequests.canTransition(status, 'approved'), false, status);
+  }
+});
+
+test('transition answers a disallowed change with a 409 before touching the database', async () => {
+  const result = await CertificateRequests.transition({ requestId: 1, studentId: 1, status: 'approved' }, 'rejected');
+
+  assert.deepEqual(result, {
+    status: 409,
+    error: {
+      success: false,
+      error: 'Invalid status change',
+      message: 'A request that is approved cannot be moved to rejected',
+      currentStatus: 'approved'
+    }
+  });
+});
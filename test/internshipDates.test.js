@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseIsoDate, formatIsoDate, addMonths, parseDuration, validateInternship,
+  MIN_DURATION_MONTHS, MAX_DURATION_MONTHS
+} from '../services/internshipDates.js';
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+test('parseIsoDate accepts real calendar dates only', () => {
+  assert.equal(parseIsoDate('2024-02-29').toISOString(), '2024-02-29T00:00:00.000Z');
+  for (const value of ['2025-02-29', '2025-04-31', '2025-00-10', '2025-6-1', '2025-06-01T00:00:00Z', 20250601, null]) {
+    assert.equal(parseIsoDate(value), null, `for ${JSON.stringify(value)}`);
+  }
+});
+
+test('formatIsoDate gives the UTC calendar date', () => {
+  assert.equal(formatIsoDate(new Date('2025-03-09T23:30:00Z')), '2025-03-09');
+});
+
+test('addMonths clamps to the last day of the target month', () => {
+  const cases = [
+    ['2025-01-31', 1, '2025-02-28'],
+    ['2024-01-31', 1, '2024-02-29'],
+    ['2025-03-31', 1, '2025-04-30'],
+    ['2025-01-15', 3, '2025-04-15'],
+    ['2025-11-30', 3, '2026-02-28'],
+    ['2024-02-29', 12, '2025-02-28']
+  ];
+
+  for (const [start, months, end] of cases) {
+    assert.equal(formatIsoDate(addMonths(parseIsoDate(start), months)), end, `${start} + ${months} months`);
+  }
+});
+
+test('parseDuration takes whole numbers and digit strings', () => {
+  assert.equal(parseDuration(6), 6);
+  assert.equal(parseDuration(' 12 '), 12);
+  assert.equal(parseDuration(1.5), null);
+  assert.equal(parseDuration('3 months'), null);
+  assert.equal(parseDuration('-2'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('validateInternship computes the end date from the start date and duration', () => {
+  assert.deepEqual(
+    validateInternship({ internship_start_date: '2025-01-31', internship_duration: '1' }, { now: NOW }),
+    { internship: { startDate: '2025-01-31', endDate: '2025-02-28', duration: 1 } }
+  );
+});
+
+test('validateInternship ignores a stored end date', () => {
+  const { internship } = validateInternship({
+    internship_start_date: '2025-01-31',
+    internship_end_date: '2025-03-03',
+    internship_duration: 1
+  }, { now: NOW });
+
+  assert.equal(internship.endDate, '2025-02-28');
+});
+
+test('validateInternship reports every problem per field', () => {
+  const { errors } = validateInternship({ internship_start_date: '2025-02-30', internship_duration: 0 }, { now: NOW });
+
+  assert.deepEqual(errors, [
+    { field: 'internship_start_date', message: 'Start date must be a valid date in YYYY-MM-DD format' },
+    {
+      field: 'internship_duration',
+      message: `Duration must be a whole number of months between ${MIN_DURATION_MONTHS} and ${MAX_DURATION_MONTHS}`
+    }
+  ]);
+});
+
+test('validateInternship enforces the duration range', () => {
+  const valid = duration => !validateInternship({ internship_start_date: '2025-01-01', internship_duration: duration }, { now: NOW }).errors;
+
+  assert.equal(valid(MIN_DURATION_MONTHS), true);
+  assert.equal(valid(MAX_DURATION_MONTHS), true);
+  assert.equal(valid(MAX_DURATION_MONTHS + 1), false);
+  assert.equal(valid(null), false);
+});
+
+test('validateInternship rejects start dates before 2000', () => {
+  const { errors } = validateInternship({ internship_start_date: '1999-12-31', internship_duration: 3 }, { now: NOW });
+
+  assert.deepEqual(errors, [{ field: 'internship_start_date', message: 'Start date must not be before 2000' }]);
+});
+
+test('validateInternship allows today anywhere in the world but not later', () => {
+  const late = new Date('2025-06-15T23:00:00Z');
+  const check = date => validateInternship({ internship_start_date: date, internship_duration: 3 }, { now: late }).errors;
+
+  // At 23:00 UTC it is already the 16th in UTC+14
+  assert.equal(check('2025-06-16'), undefined);
+  assert.deepEqual(check('2025-06-17'), [{ field: 'internship_start_date', message: 'Start date cannot be in the future' }]);
+});
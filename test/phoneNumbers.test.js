@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMobileNumber, normalizePhoneNumber, isValidPhoneNumber } from '../services/phoneNumbers.js';
+
+test('normalizePhoneNumber gives E.164 for the ways numbers are typed', () => {
+  for (const input of ['9876543210', '98765 43210', '+91 98765-43210', '09876543210', ' +919876543210 ', 9876543210]) {
+    assert.equal(normalizePhoneNumber(input, 'IN'), '+919876543210', `for ${JSON.stringify(input)}`);
+  }
+});
+
+test('normalizePhoneNumber uses the default country only without a +country code', () => {
+  assert.equal(normalizePhoneNumber('07400 123456', 'GB'), '+447400123456');
+  assert.equal(normalizePhoneNumber('+447400123456', 'IN'), '+447400123456');
+});
+
+test('normalizePhoneNumber rejects invalid and non-mobile numbers', () => {
+  for (const input of ['12345', '+91 12345 67890', 'not a number', '', null, undefined, {}]) {
+    assert.equal(normalizePhoneNumber(input, 'IN'), null, `for ${JSON.stringify(input)}`);
+  }
+  // A London landline
+  assert.equal(normalizePhoneNumber('+442079460000', 'IN'), null);
+});
+
+test('isValidPhoneNumber matches normalizePhoneNumber', () => {
+  assert.equal(isValidPhoneNumber('9876543210', 'IN'), true);
+  assert.equal(isValidPhoneNumber('12345', 'IN'), false);
+});
+
+test('parseMobileNumber exposes the country and national number', () => {
+  const phoneNumber = parseMobileNumber('+919876543210');
+
+  assert.equal(phoneNumber.country, 'IN');
+  assert.equal(phoneNumber.nationalNumber, '9876543210');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wrapText, fitText, positionLines } from '../services/textLayout.js';
+
+// Every character is half the font size wide, so 10 characters at 10pt are 50pt wide
+const font = {
+  widthOfTextAtSize: (text, size) => [...text].length * size * 0.5
+};
+
+test('wrapText breaks between words', () => {
+  assert.deepEqual(wrapText('one two three four', font, 10, 50), ['one two', 'three four']);
+});
+
+test('wrapText breaks a word too wide for a line on its own', () => {
+  assert.deepEqual(wrapText('abcdefghijklmnop qr', font, 10, 50), ['abcdefghij', 'klmnop qr']);
+});
+
+test('wrapText collapses runs of whitespace', () => {
+  assert.deepEqual(wrapText('  one   two  ', font, 10, 100), ['one two']);
+});
+
+test('fitText keeps text without a maxWidth as it is', () => {
+  assert.deepEqual(fitText('any length of text', font, { size: 20 }), { size: 20, lines: ['any length of text'] });
+});
+
+test('fitText shrinks a single line until it fits', () => {
+  // 20 characters need a size of at most 10 to fit in 100pt
+  assert.deepEqual(fitText('a'.repeat(20), font, { size: 14, maxWidth: 100 }), { size: 10, lines: ['a'.repeat(20)] });
+});
+
+test('fitText keeps the layout size when the text already fits', () => {
+  assert.deepEqual(fitText('short', font, { size: 14, maxWidth: 100 }), { size: 14, lines: ['short'] });
+});
+
+test('fitText wraps and shrinks text in a box', () => {
+  const { size, lines } = fitText('one two three four five six', font, { size: 12, maxWidth: 60, maxHeight: 30, lineHeight: 1 });
+
+  assert.ok(size < 12);
+  assert.ok(lines.length * size <= 30);
+  assert.ok(lines.every(line => font.widthOfTextAtSize(line, size) <= 60));
+  assert.equal(lines.join(' '), 'one two three four five six');
+});
+
+test('fitText throws when the text does not fit even at minSize', () => {
+  assert.throws(
+    () => fitText('a'.repeat(50), font, { size: 14, maxWidth: 100, minSize: 8 }),
+    /does not fit in its 100 box even at 8pt/
+  );
+  assert.throws(
+    () => fitText('word '.repeat(40), font, { size: 14, maxWidth: 100, maxHeight: 20 }),
+    /does not fit in its 100 x 20 box even at 8pt/
+  );
+});
+
+test('fitText never shrinks below the layout size when minSize is larger', () => {
+  assert.throws(() => fitText('a'.repeat(50), font, { size: 6, maxWidth: 100, minSize: 8 }), /even at 6pt/);
+});
+
+test('positionLines aligns each line on x and steps down by the line height', () => {
+  const placement = { x: 100, y: 200, align: 'center', lineHeight: 1.5 };
+
+  assert.deepEqual(positionLines(['abcd', 'ab'], font, 10, placement), [
+    { text: 'abcd', x: 90, y: 200 },
+    { text: 'ab', x: 95, y: 185 }
+  ]);
+  assert.deepEqual(positionLines(['abcd'], font, 10, { ...placement, align: 'right' }), [{ text: 'abcd', x: 80, y: 200 }]);
+  assert.deepEqual(positionLines(['abcd'], font, 10, { x: 100, y: 200 }), [{ text: 'abcd', x: 100, y: 200 }]);
+});
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validate, validationError, checkField, z,
+  integer, positiveInt, text, boolean, oneOf, phoneNumber, email, isoDate, idList
+} from '../middleware/validate.js';
+
+// Run a validate() middleware on a fake request: { next: true, req } or { status, body }
+function run(middleware, req) {
+  let response = null;
+  const res = {
+    status(status) {
+      return { json: body => { response = { status, body }; } };
+    }
+  };
+  middleware(req, res, () => { response = { next: true, req }; });
+  return response;
+}
+
+test('validate replaces params, query and body with the parsed values', () => {
+  const middleware = validate({
+    params: { studentId: positiveInt('Student ID') },
+    query: { limit: integer('Limit', { min: 1, max: 100 }).default(50) },
+    body: { reason: text('Reason', { max: 20 }) }
+  });
+
+  const result = run(middleware, { params: { studentId: '42' }, query: {}, body: { reason: '  wrong name  ' } });
+
+  assert.equal(result.next, true);
+  assert.deepEqual(result.req.params, { studentId: 42 });
+  assert.deepEqual(result.req.query, { limit: 50 });
+  assert.deepEqual(result.req.body, { reason: 'wrong name' });
+});
+
+test('validate leaves absent optional fields out', () => {
+  const middleware = validate({ query: { phoneNumber: phoneNumber().optional() } });
+
+  const result = run(middleware, { query: {} });
+
+  assert.equal(result.next, true);
+  assert.deepEqual(result.req.query, {});
+});
+
+test('validate reports every problem in every part in one 400', () => {
+  const middleware = validate({
+    params: { studentId: positiveInt('Student ID') },
+    body: { reason: text('Reason') }
+  });
+
+  const result = run(middleware, { params: { studentId: 'abc' }, body: { extra: 1 } });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.body.success, false);
+  assert.equal(result.body.error, 'Validation failed');
+  assert.deepEqual(result.body.errors, [
+    { location: 'params', field: 'studentId', message: 'Student ID must be a positive integer' },
+    { location: 'body', field: 'reason', message: 'Reason is required' },
+    { location: 'body', field: 'extra', message: 'Unknown field' }
+  ]);
+});
+
+test('validate rejects a body that is not an object', () => {
+  const middleware = validate({ body: { reason: text('Reason') } });
+
+  const result = run(middleware, { body: 'text' });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.errors, [
+    { location: 'body', field: null, message: 'Request body must be a JSON object' }
+  ]);
+});
+
+test('validate accepts a zod schema for cross-field rules', () => {
+  const middleware = validate({
+    body: z.object({ from: isoDate('From'), to: isoDate('To') })
+      .refine(({ from, to }) => from <= to, { message: 'From must not be after To', path: ['to'] })
+  });
+
+  assert.equal(run(middleware, { body: { from: '2025-01-01', to: '2025-02-01' } }).next, true);
+  assert.deepEqual(run(middleware, { body: { from: '2025-03-01', to: '2025-02-01' } }).body.errors, [
+    { location: 'body', field: 'to', message: 'From must not be after To' }
+  ]);
+});
+
+test('validate refuses an unknown request part', () => {
+  assert.throws(() => validate({ headers: {} }), /unknown request part "headers"/);
+});
+
+test('validationError joins the messages with their fields', () => {
+  assert.deepEqual(validationError([
+    { location: 'body', field: 'email', message: 'Email must be a valid email address' },
+    { location: 'body', field: null, message: 'Nothing to update' }
+  ]), {
+    success: false,
+    error: 'Validation failed',
+    message: 'email: Email must be a valid email address; Nothing to update',
+    errors: [
+      { location: 'body', field: 'email', message: 'Email must be a valid email address' },
+      { location: 'body', field: null, message: 'Nothing to update' }
+    ]
+  });
+});
+
+test('checkField returns null for a valid value and the message otherwise', () => {
+  assert.equal(checkField(email(), 'student@example.com'), null);
+  assert.equal(checkField(email(), 'not an email'), 'Email must be a valid email address');
+  assert.equal(checkField(email(), undefined), 'Email is required');
+});
+
+test('integer accepts numbers and digit strings within its range', () => {
+  const limit = integer('Limit', { min: 1, max: 200 });
+
+  assert.equal(limit.parse('25'), 25);
+  assert.equal(limit.parse(200), 200);
+  assert.equal(checkField(limit, 0), 'Limit must be an integer between 1 and 200');
+  assert.equal(checkField(limit, '1.5'), 'Limit must be an integer between 1 and 200');
+  assert.equal(checkField(integer('Offset', { min: 0 }), -1), 'Offset must be an integer of at least 0');
+});
+
+test('positiveInt rejects zero, negatives and non-integers', () => {
+  const id = positiveInt('Student ID');
+
+  assert.equal(id.parse(' 7 '), 7);
+  for (const value of [0, '0', -3, '-3', 2.5, '1e3', '', null]) {
+    assert.equal(checkField(id, value), 'Student ID must be a positive integer', `for ${JSON.stringify(value)}`);
+  }
+});
+
+test('text trims and enforces its length', () => {
+  const name = text('Template name', { min: 2, max: 5 });
+
+  assert.equal(name.parse('  abc '), 'abc');
+  assert.equal(checkField(name, 'a'), 'Template name must be between 2 and 5 characters long');
+  assert.equal(checkField(name, 'abcdef'), 'Template name must be between 2 and 5 characters long');
+  assert.equal(checkField(text('Reason', { max: 3 }), '   '), 'Reason must not be empty or longer than 3 characters');
+  assert.equal(checkField(text('Reason'), 5), 'Reason must be a string');
+});
+
+test('boolean accepts true/false and their strings', () => {
+  const flag = boolean('default');
+
+  assert.equal(flag.parse('true'), true);
+  assert.equal(flag.parse(false), false);
+  assert.equal(checkField(flag, 'yes'), 'default must be true or false');
+});
+
+test('oneOf accepts only the listed values', () => {
+  const status = oneOf('Status', ['sent', 'failed']);
+
+  assert.equal(status.parse('sent'), 'sent');
+  assert.equal(checkField(status, 'SENT'), 'Status must be one of: sent, failed');
+});
+
+test('phoneNumber normalizes to E.164', () => {
+  assert.equal(phoneNumber().parse('+91 98765 43210'), '+919876543210');
+  assert.match(checkField(phoneNumber(), '12345'), /^Phone number must be a valid mobile number/);
+});
+
+test('email trims and lower-cases', () => {
+  assert.equal(email().parse('  Student@Example.COM '), 'student@example.com');
+  assert.equal(checkField(email(), 'a@b'), 'Email must be a valid email address');
+});
+
+test('isoDate accepts only real calendar dates', () => {
+  assert.equal(isoDate('Start date').parse('2024-02-29'), '2024-02-29');
+  for (const value of ['2025-02-29', '2025-13-01', '2025-1-01', '01/02/2025']) {
+    assert.equal(checkField(isoDate('Start date'), value), 'Start date must be a valid date in YYYY-MM-DD format');
+  }
+});
+
+test('idList takes an array or a comma separated string and removes duplicates', () => {
+  const ids = idList('Student IDs', { max: 3 });
+
+  assert.deepEqual(ids.parse('3, 1,3'), [3, 1]);
+  assert.deepEqual(ids.parse([2, '5']), [2, 5]);
+  assert.equal(checkField(ids, '1,2,3,4'), 'Student IDs must be a list of 1 to 3 positive integer IDs');
+  assert.equal(checkField(ids, '1,x'), 'Student IDs must be a list of 1 to 3 positive integer IDs');
+  assert.equal(checkField(ids, []), 'Student IDs must be a list of 1 to 3 positive integer IDs');
+});